@@ -0,0 +1,382 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+const ROOT_DIR = path.join(__dirname, "..");
+export const CONFIG_PATH = path.join(ROOT_DIR, "feeds.config.json");
+export const FIXTURES_DIR = path.join(ROOT_DIR, "fixtures");
+
+// rowHTML() ondersteunt 1 t/m MAX_COLUMNS kolommen per rij
+export const MAX_COLUMNS = 6;
+
+export const SORT_KEYS = ["source", "price_asc", "price_desc", "title", "release_date"];
+
+// Status van een variant op het dashboard; "disabled" is niet te kiezen, maar wordt wel gebouwd
+export const VARIANT_STATUSES = ["enabled", "recommended", "deprecated", "disabled"];
+
+const CONFIG_KEYS = ["site", "theme", "fetch", "images", "email", "variant_status", "feeds"];
+const SITE_KEYS = ["title", "link", "description", "language", "utm", "labels"];
+const UTM_VARS = ["slug", "variant", "perRow", "id"];
+const FEED_KEYS = [
+  "slug", "title", "source", "source_file", "default_per_row", "row_variants",
+  "show_release_date", "drop_released", "filter", "sort", "limit", "theme", "hero_columns", "utm",
+  "language", "labels", "variant_status"
+];
+// Teksten die per taal in de feeds staan (zie LABELS in transform.mjs)
+const LABEL_KEYS = ["per_row", "columns", "set", "featured", "expected", "hero_button", "unsubscribe", "stale"];
+const EMAIL_KEYS = ["unsubscribe_url", "footer"];
+const THEME_COLOR_KEYS = [
+  "brand_color", "text_color", "price_color", "old_price_color", "release_color",
+  "accent_color", "accent_text_color", "button_color", "button_text_color",
+  "dark_background", "dark_text_color", "dark_brand_color", "dark_muted_color"
+];
+const THEME_KEYS = [
+  ...THEME_COLOR_KEYS, "font_family", "image_size", "button_label", "button_radius",
+  "hero_image_size", "hero_button_label"
+];
+const FETCH_KEYS = ["concurrency", "timeout_ms", "retries", "backoff_ms"];
+const IMAGES_KEYS = ["placeholder", "check", "mirror", "base_url"];
+const VARIANT_STATUS_KEYS = ["status", "reason"];
+const FILTER_KEYS = ["min_price", "max_price", "title_contains", "title_excludes", "ids", "exclude_ids"];
+
+export class ConfigError extends Error {
+  constructor(file, errors) {
+    super(`${file}: ${errors.length} fout(en)\n${errors.map(e => `  - ${e}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isPosInt = (v) => Number.isInteger(v) && v > 0;
+const isColumnCount = (v) => Number.isInteger(v) && v >= 1 && v <= MAX_COLUMNS;
+const isStringOrList = (v) => typeof v === "string" || (Array.isArray(v) && v.every(x => typeof x === "string" || typeof x === "number"));
+
+function unknownKeys(obj, allowed, where, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) errors.push(`${where}.${key}: onbekende optie`);
+  }
+}
+
+function validateFilter(filter, where, errors) {
+  if (!isObject(filter)) {
+    errors.push(`${where}: moet een object zijn`);
+    return;
+  }
+  unknownKeys(filter, FILTER_KEYS, where, errors);
+  for (const key of ["min_price", "max_price"]) {
+    if (key in filter && !(typeof filter[key] === "number" && filter[key] >= 0)) {
+      errors.push(`${where}.${key}: moet een getal >= 0 zijn`);
+    }
+  }
+  if (typeof filter.min_price === "number" && typeof filter.max_price === "number" && filter.min_price > filter.max_price) {
+    errors.push(`${where}: min_price is groter dan max_price`);
+  }
+  for (const key of ["title_contains", "title_excludes", "ids", "exclude_ids"]) {
+    if (key in filter && !isStringOrList(filter[key])) {
+      errors.push(`${where}.${key}: moet tekst of een lijst zijn`);
+    }
+  }
+}
+
+function validateTheme(theme, where, errors) {
+  if (!isObject(theme)) {
+    errors.push(`${where}: moet een object zijn`);
+    return;
+  }
+  unknownKeys(theme, THEME_KEYS, where, errors);
+  for (const key of THEME_COLOR_KEYS) {
+    // alles wat in een inline style mag; geen ; " < > die de style-attributen breken
+    if (key in theme && (typeof theme[key] !== "string" || /[;"<>]/.test(theme[key]))) {
+      errors.push(`${where}.${key}: moet een CSS-kleur zijn, bv. "#00669b"`);
+    }
+  }
+  if ("font_family" in theme && (typeof theme.font_family !== "string" || /[;"<>]/.test(theme.font_family))) {
+    errors.push(`${where}.font_family: moet een font stack zijn, bv. "Arial, sans-serif" (enkele quotes)`);
+  }
+  if ("image_size" in theme) {
+    if (!isObject(theme.image_size)) {
+      errors.push(`${where}.image_size: moet een object zijn, bv. { "4": 110 }`);
+    } else {
+      for (const [cols, px] of Object.entries(theme.image_size)) {
+        if (!isColumnCount(Number(cols))) errors.push(`${where}.image_size.${cols}: sleutel moet een aantal kolommen zijn (1-${MAX_COLUMNS})`);
+        if (!isPosInt(px)) errors.push(`${where}.image_size.${cols}: moet een positief aantal pixels zijn`);
+      }
+    }
+  }
+  if ("button_label" in theme && theme.button_label !== null && typeof theme.button_label !== "string") {
+    errors.push(`${where}.button_label: moet tekst of null zijn`);
+  }
+  if ("hero_button_label" in theme && (typeof theme.hero_button_label !== "string" || !theme.hero_button_label.trim())) {
+    errors.push(`${where}.hero_button_label: moet tekst zijn`);
+  }
+  if ("hero_image_size" in theme && !isPosInt(theme.hero_image_size)) {
+    errors.push(`${where}.hero_image_size: moet een positief aantal pixels zijn`);
+  }
+  if ("button_radius" in theme && !(typeof theme.button_radius === "number" && theme.button_radius >= 0)) {
+    errors.push(`${where}.button_radius: moet een getal >= 0 zijn`);
+  }
+}
+
+function validateUtm(utm, where, errors) {
+  if (!isObject(utm)) {
+    errors.push(`${where}: moet een object zijn, bv. { "utm_source": "activecampaign" }`);
+    return;
+  }
+  for (const [key, value] of Object.entries(utm)) {
+    if (value === null) continue;
+    if (typeof value !== "string") {
+      errors.push(`${where}.${key}: moet tekst of null zijn`);
+      continue;
+    }
+    for (const [, name] of value.matchAll(/\{(\w+)\}/g)) {
+      if (!UTM_VARS.includes(name)) errors.push(`${where}.${key}: onbekende variabele {${name}}, kies uit ${UTM_VARS.map(v => `{${v}}`).join(", ")}`);
+    }
+  }
+}
+
+function validateFetch(options, where, errors) {
+  if (!isObject(options)) {
+    errors.push(`${where}: moet een object zijn, bv. { "concurrency": 4, "timeout_ms": 15000 }`);
+    return;
+  }
+  unknownKeys(options, FETCH_KEYS, where, errors);
+  for (const key of ["concurrency", "timeout_ms"]) {
+    if (key in options && !isPosInt(options[key])) errors.push(`${where}.${key}: moet een positief geheel getal zijn`);
+  }
+  for (const key of ["retries", "backoff_ms"]) {
+    if (key in options && !(Number.isInteger(options[key]) && options[key] >= 0)) errors.push(`${where}.${key}: moet een geheel getal >= 0 zijn`);
+  }
+}
+
+function validateImages(options, where, errors) {
+  if (!isObject(options)) {
+    errors.push(`${where}: moet een object zijn, bv. { "placeholder": "https://…/geen-afbeelding.png" }`);
+    return;
+  }
+  unknownKeys(options, IMAGES_KEYS, where, errors);
+  for (const key of ["placeholder", "base_url"]) {
+    if (key in options && options[key] !== null && !(typeof options[key] === "string" && /^https?:\/\//.test(options[key]))) {
+      errors.push(`${where}.${key}: moet een http(s)-URL of null zijn`);
+    }
+  }
+  for (const key of ["check", "mirror"]) {
+    if (key in options && typeof options[key] !== "boolean") errors.push(`${where}.${key}: moet true of false zijn`);
+  }
+  if (options.mirror === true && !options.base_url) {
+    errors.push(`${where}.base_url: verplicht bij mirror, de publieke URL van public/ (bv. GitHub Pages)`);
+  }
+}
+
+function validateEmail(options, where, errors) {
+  if (!isObject(options)) {
+    errors.push(`${where}: moet een object zijn, bv. { "unsubscribe_url": "%UNSUBSCRIBELINK%" }`);
+    return;
+  }
+  unknownKeys(options, EMAIL_KEYS, where, errors);
+  if ("unsubscribe_url" in options && (typeof options.unsubscribe_url !== "string" || !options.unsubscribe_url.trim())) {
+    errors.push(`${where}.unsubscribe_url: moet een URL of personalisatie-tag zijn, bv. "%UNSUBSCRIBELINK%"`);
+  }
+  if ("footer" in options && options.footer !== null && typeof options.footer !== "string") {
+    errors.push(`${where}.footer: moet tekst of null zijn`);
+  }
+}
+
+/** variant_status: { "4": "recommended", "1": { "status": "deprecated", "reason": "..." } } */
+function validateVariantStatus(statuses, where, errors, variants = null) {
+  if (!isObject(statuses)) {
+    errors.push(`${where}: moet een object zijn, bv. { "4": "recommended" }`);
+    return;
+  }
+  for (const [key, value] of Object.entries(statuses)) {
+    const at = `${where}.${key}`;
+    if (key !== "hero" && !isColumnCount(Number(key))) {
+      errors.push(`${at}: onbekende variant, kies 1-${MAX_COLUMNS} of "hero"`);
+    } else if (variants && !variants.map(String).includes(key)) {
+      errors.push(`${at}: staat niet in row_variants`);
+    }
+    const entry = typeof value === "string" ? { status: value } : value;
+    if (!isObject(entry)) {
+      errors.push(`${at}: moet een status of { "status", "reason" } zijn`);
+      continue;
+    }
+    unknownKeys(entry, VARIANT_STATUS_KEYS, at, errors);
+    if (!VARIANT_STATUSES.includes(entry.status)) {
+      errors.push(`${at}.status: ${JSON.stringify(entry.status)} onbekend, kies uit ${VARIANT_STATUSES.join(", ")}`);
+    }
+    if ("reason" in entry && typeof entry.reason !== "string") errors.push(`${at}.reason: moet tekst zijn`);
+  }
+}
+
+function validateLanguage(language, where, errors) {
+  if (typeof language !== "string" || !Intl.NumberFormat.supportedLocalesOf(language).length) {
+    errors.push(`${where}: moet een ondersteunde taalcode zijn, bv. "nl-NL", "nl-BE" of "fr-BE"`);
+  }
+}
+
+function validateLabels(labels, where, errors) {
+  if (!isObject(labels)) {
+    errors.push(`${where}: moet een object zijn, bv. { "per_row": "{n} par ligne" }`);
+    return;
+  }
+  unknownKeys(labels, LABEL_KEYS, where, errors);
+  for (const [key, value] of Object.entries(labels)) {
+    if (typeof value !== "string") errors.push(`${where}.${key}: moet tekst zijn`);
+  }
+}
+
+function validateFeed(feed, i, errors) {
+  const where = `feeds[${i}]${typeof feed?.slug === "string" ? ` (${feed.slug})` : ""}`;
+  if (!isObject(feed)) {
+    errors.push(`${where}: moet een object zijn`);
+    return;
+  }
+  unknownKeys(feed, FEED_KEYS, where, errors);
+
+  if (typeof feed.slug !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(feed.slug)) {
+    errors.push(`${where}.slug: verplicht, alleen a-z, 0-9 en "-"`);
+  }
+  if (typeof feed.title !== "string" || !feed.title.trim()) {
+    errors.push(`${where}.title: verplicht`);
+  }
+  if ("source_file" in feed && (typeof feed.source_file !== "string" || !feed.source_file.trim())) {
+    errors.push(`${where}.source_file: moet een pad naar een XML-bestand zijn`);
+  }
+  if (!("source" in feed) && !("source_file" in feed)) {
+    errors.push(`${where}.source: verplicht (of source_file)`);
+  } else if ("source" in feed && (typeof feed.source !== "string" || !/^https?:\/\//.test(feed.source))) {
+    errors.push(`${where}.source: moet een http(s)-URL zijn`);
+  }
+  if ("default_per_row" in feed && !isColumnCount(feed.default_per_row)) {
+    errors.push(`${where}.default_per_row: moet een geheel getal van 1 t/m ${MAX_COLUMNS} zijn`);
+  }
+  if (!Array.isArray(feed.row_variants) || !feed.row_variants.length) {
+    errors.push(`${where}.row_variants: verplicht, lijst met aantallen kolommen`);
+  } else {
+    feed.row_variants.forEach((n, j) => {
+      if (!isColumnCount(n) && n !== "hero") {
+        errors.push(`${where}.row_variants[${j}]: ${JSON.stringify(n)} niet ondersteund, kies 1-${MAX_COLUMNS} kolommen of "hero"`);
+      }
+    });
+    if (new Set(feed.row_variants).size !== feed.row_variants.length) {
+      errors.push(`${where}.row_variants: bevat dubbele waarden`);
+    }
+  }
+  for (const key of ["show_release_date", "drop_released"]) {
+    if (key in feed && typeof feed[key] !== "boolean") errors.push(`${where}.${key}: moet true of false zijn`);
+  }
+  if ("filter" in feed) validateFilter(feed.filter, `${where}.filter`, errors);
+  if ("sort" in feed && !SORT_KEYS.includes(feed.sort)) {
+    errors.push(`${where}.sort: ${JSON.stringify(feed.sort)} onbekend, kies uit ${SORT_KEYS.join(", ")}`);
+  }
+  if ("limit" in feed && !isPosInt(feed.limit)) {
+    errors.push(`${where}.limit: moet een positief geheel getal zijn`);
+  }
+  if ("theme" in feed) validateTheme(feed.theme, `${where}.theme`, errors);
+  if ("utm" in feed) validateUtm(feed.utm, `${where}.utm`, errors);
+  if ("language" in feed) validateLanguage(feed.language, `${where}.language`, errors);
+  if ("labels" in feed) validateLabels(feed.labels, `${where}.labels`, errors);
+  if ("variant_status" in feed) {
+    validateVariantStatus(feed.variant_status, `${where}.variant_status`, errors, Array.isArray(feed.row_variants) ? feed.row_variants : null);
+  }
+  if ("hero_columns" in feed && !(isColumnCount(feed.hero_columns) && feed.hero_columns >= 3)) {
+    errors.push(`${where}.hero_columns: grid onder de hero moet 3 t/m ${MAX_COLUMNS} kolommen zijn`);
+  }
+}
+
+/** Controleer feeds.config.json; geeft een lijst met alle gevonden problemen terug */
+export function validateConfig(config) {
+  const errors = [];
+  if (!isObject(config)) return ["config moet een object zijn"];
+  // ook bovenaan: een getypte "thema" zou anders stilletjes genegeerd worden
+  unknownKeys(config, CONFIG_KEYS, "config", errors);
+
+  if ("site" in config) {
+    if (!isObject(config.site)) {
+      errors.push("site: moet een object zijn");
+    } else {
+      unknownKeys(config.site, SITE_KEYS, "site", errors);
+      for (const key of ["title", "link", "description"]) {
+        if (key in config.site && typeof config.site[key] !== "string") errors.push(`site.${key}: moet tekst zijn`);
+      }
+      if ("language" in config.site) validateLanguage(config.site.language, "site.language", errors);
+      if ("utm" in config.site) validateUtm(config.site.utm, "site.utm", errors);
+      if ("labels" in config.site) validateLabels(config.site.labels, "site.labels", errors);
+    }
+  }
+
+  if ("theme" in config) validateTheme(config.theme, "theme", errors);
+  if ("fetch" in config) validateFetch(config.fetch, "fetch", errors);
+  if ("images" in config) validateImages(config.images, "images", errors);
+  if ("email" in config) validateEmail(config.email, "email", errors);
+  if ("variant_status" in config) validateVariantStatus(config.variant_status, "variant_status", errors);
+
+  if (!Array.isArray(config.feeds) || !config.feeds.length) {
+    errors.push("feeds: verplicht, minstens één feed");
+    return errors;
+  }
+  config.feeds.forEach((feed, i) => validateFeed(feed, i, errors));
+
+  // dubbele slug overschrijft stilletjes elkaars bestanden
+  const seen = new Map();
+  config.feeds.forEach((feed, i) => {
+    if (typeof feed?.slug !== "string") return;
+    if (seen.has(feed.slug)) errors.push(`feeds[${i}] (${feed.slug}).slug: dubbel, ook gebruikt door feeds[${seen.get(feed.slug)}]`);
+    else seen.set(feed.slug, i);
+  });
+
+  // op het dashboard moet per feed minstens één variant te kiezen zijn
+  if (!errors.length) {
+    config.feeds.forEach((feed, i) => {
+      const statuses = variantStatuses(config, feed);
+      if (feed.row_variants.every(v => statuses[v].status === "disabled")) {
+        errors.push(`feeds[${i}] (${feed.slug}).variant_status: alle row_variants staan op "disabled"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Status per variant van een feed: variant_status bovenaan de config, per feed wint.
+ * Geeft { [variant]: { status, reason } } voor alle row_variants; default "enabled".
+ */
+export function variantStatuses(config, feed) {
+  const merged = { ...config.variant_status, ...feed.variant_status };
+  return Object.fromEntries(feed.row_variants.map(v => {
+    const entry = typeof merged[v] === "string" ? { status: merged[v] } : merged[v] ?? {};
+    return [v, { status: entry.status ?? "enabled", reason: entry.reason ?? null }];
+  }));
+}
+
+/** Bestandsnaam van een bron als fixture: laatste deel van de URL-path */
+export function fixtureName(source) {
+  return path.basename(new URL(source).pathname) || "index.xml";
+}
+
+/**
+ * Lokaal bronbestand voor een feed, of null voor live ophalen.
+ * `source_file` (relatief aan de repo-root) wint; anders, met een
+ * fixtures-map (--offline / --fixtures), `<map>/<fixtureName(source)>`.
+ */
+export function localSourceFile(feed, fixturesDir) {
+  if (feed.source_file) return path.resolve(ROOT_DIR, feed.source_file);
+  if (fixturesDir) return path.join(fixturesDir, fixtureName(feed.source));
+  return null;
+}
+
+/** Lees + valideer de config; gooit ConfigError met alle problemen tegelijk */
+export async function loadConfig(file = CONFIG_PATH) {
+  const name = path.basename(file);
+  const raw = await fs.readFile(file, "utf8");
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (e) {
+    throw new ConfigError(name, [`ongeldige JSON: ${e.message}`]);
+  }
+  const errors = validateConfig(config);
+  if (errors.length) throw new ConfigError(name, errors);
+  return config;
+}
@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { parseArgs } from "node:util";
+
+/**
+ * Lokale preview met watch mode:
+ *   npm run dev [-- --port 8080] [-- --offline | --fixtures <map>]
+ * Serveert public/, bouwt opnieuw bij wijzigingen in src/ of feeds.config.json
+ * (met de bron-XML uit .cache/snapshots, zonder opnieuw te fetchen) en
+ * herlaadt open pagina's via server-sent events.
+ */
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+const ROOT_DIR = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT_DIR, "public");
+const TRANSFORM = path.join(__dirname, "transform.mjs");
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: process.env.PORT || "8080" },
+    offline: { type: "boolean" },
+    fixtures: { type: "string" }
+  }
+});
+const buildArgs = [
+  "--cached",
+  ...(args.offline ? ["--offline"] : []),
+  ...(args.fixtures ? ["--fixtures", args.fixtures] : [])
+];
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml"
+};
+
+// Wordt in elke HTML-pagina gezet: herladen zodra een build klaar is
+const RELOAD_SCRIPT = `<script>new EventSource("/__dev/events").addEventListener("reload", () => location.reload());</script>`;
+
+const clients = new Set();
+
+function notifyReload() {
+  for (const res of clients) res.write("event: reload\ndata: {}\n\n");
+}
+
+// Build in een child process, zodat elke build de gewijzigde modules laadt
+let building = false;
+let pending = false;
+
+function build(reason) {
+  if (building) {
+    pending = true;
+    return;
+  }
+  building = true;
+  const started = Date.now();
+  console.log(`\n[dev] Rebuild (${reason})`);
+  const child = spawn(process.execPath, [TRANSFORM, ...buildArgs], { cwd: ROOT_DIR, stdio: "inherit" });
+  child.on("exit", (code) => {
+    building = false;
+    if (code === 0) {
+      console.log(`[dev] Klaar in ${Date.now() - started} ms, ${clients.size} pagina('s) herladen`);
+      notifyReload();
+    } else {
+      console.error(`[dev] Build mislukt (exit ${code}), vorige output blijft staan`);
+    }
+    if (pending) {
+      pending = false;
+      build("wijzigingen tijdens de build");
+    }
+  });
+}
+
+let timer = null;
+function scheduleBuild(file) {
+  // editors schrijven vaak in meerdere stappen: kort wachten en samennemen
+  clearTimeout(timer);
+  timer = setTimeout(() => build(path.relative(ROOT_DIR, file)), 100);
+}
+
+fs.watch(__dirname, { recursive: true }, (event, name) => {
+  if (name) scheduleBuild(path.join(__dirname, name));
+});
+// De map i.p.v. het bestand: blijft werken als een editor feeds.config.json vervangt
+fs.watch(ROOT_DIR, (event, name) => {
+  if (name === "feeds.config.json") scheduleBuild(path.join(ROOT_DIR, name));
+});
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+
+  if (url.pathname === "/__dev/events") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.write(": connected\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" }).end(`Ongeldige URL: ${url.pathname}`);
+    return;
+  }
+  // Alleen bestanden binnen public/ (niet public-old/ of ../)
+  let file = path.join(OUT_DIR, pathname);
+  if (file !== OUT_DIR && !file.startsWith(OUT_DIR + path.sep)) {
+    res.writeHead(403).end("Forbidden");
+    return;
+  }
+  if (url.pathname.endsWith("/")) file = path.join(file, "index.html");
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end(`Niet gevonden: ${url.pathname}`);
+      return;
+    }
+    const type = MIME_TYPES[path.extname(file)] || "application/octet-stream";
+    if (type.startsWith("text/html")) {
+      data = data.toString("utf8").replace(/<\/body>/i, `${RELOAD_SCRIPT}\n</body>`);
+    }
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-store" }).end(data);
+  });
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`[dev] http://localhost:${args.port}/ – watch op src/ en feeds.config.json`);
+  build("start");
+});
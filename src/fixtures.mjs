@@ -0,0 +1,36 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { loadConfig, ConfigError, FIXTURES_DIR, fixtureName } from "./config.mjs";
+import { DEFAULT_FETCH, fetchWithRetry } from "./transform.mjs";
+
+/**
+ * Sla de huidige live bronnen op als fixtures voor offline builds:
+ *   npm run fixtures [-- doelmap]
+ * Schrijft `<map>/<bron>.xml` plus `fixtures.json` met het tijdstip,
+ * dat `npm run build:offline` als vaste build-tijd gebruikt.
+ * Timeout en retries zoals in de build ("fetch" in de config).
+ */
+const dir = process.argv[2] ? path.resolve(process.argv[2]) : FIXTURES_DIR;
+
+try {
+  const config = await loadConfig();
+  const fetchOptions = { ...DEFAULT_FETCH, ...config.fetch };
+  const sources = Array.from(new Set(config.feeds.filter(f => f.source).map(f => f.source)));
+  await fs.mkdir(dir, { recursive: true });
+
+  const manifest = { savedAt: new Date().toISOString(), sources: {} };
+  for (const source of sources) {
+    const { res, body } = await fetchWithRetry(source, { "User-Agent": "nedgame-ac-proxy/1.3" }, fetchOptions).catch(e => {
+      throw new Error(`${e.message} for ${source}`);
+    });
+    if (!res.ok) throw new Error(`Fetch failed ${res.status} for ${source}`);
+    const name = fixtureName(source);
+    await fs.writeFile(path.join(dir, name), body, "utf8");
+    manifest.sources[name] = source;
+    console.log(`Saved ${source} -> ${path.relative(process.cwd(), path.join(dir, name))}`);
+  }
+  await fs.writeFile(path.join(dir, "fixtures.json"), JSON.stringify(manifest, null, 2), "utf8");
+} catch (err) {
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+}
@@ -0,0 +1,173 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+
+/**
+ * Afbeeldingen in de build:
+ * - elke image-URL controleren (HEAD, zo nodig GET); leeg of kapot -> placeholder,
+ *   onbekend (netwerkfout, timeout, 5xx) -> bron-URL laten staan
+ * - optioneel (images.mirror) verkleinen naar public/img/ in de maten van de
+ *   kolom-layouts; de cards gebruiken dan `p.thumbs[maat]`
+ * Mirroren gebruikt `sharp` (optionalDependency); zonder sharp alleen de check.
+ */
+
+export const DEFAULT_IMAGES = {
+  placeholder: null,  // URL voor ontbrekende/kapotte afbeeldingen; null = lege ruimte
+  check: true,        // image-URL's controleren (alleen live builds)
+  mirror: false,      // verkleinde kopieën in public/img/
+  base_url: null      // publieke URL van public/, verplicht bij mirror
+};
+
+// Zo lang geldt een check-resultaat; elke dag opnieuw controleren
+const CHECK_TTL_MS = 24 * 60 * 60 * 1000;
+
+const USER_AGENT = "nedgame-ac-proxy/1.3";
+const hash = (s) => crypto.createHash("sha1").update(s).digest("hex").slice(0, 12);
+
+// Alleen status en headers nodig: body niet downloaden, verbinding vrijgeven
+const discard = (res) => res.body?.destroy();
+
+/** Request met timeout; met `read` loopt de timer door tot die klaar is (bv. de body lezen) */
+async function fetchWithTimeout(url, init, timeoutMs, read = (res) => res) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await read(await fetch(url, { ...init, headers: { "User-Agent": USER_AGENT }, signal: controller.signal }));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Bestaat de afbeelding? 2xx met (als opgegeven) een image/* content-type */
+async function checkImage(url, timeoutMs) {
+  let res = await fetchWithTimeout(url, { method: "HEAD" }, timeoutMs);
+  // sommige servers/CDN's kennen geen HEAD
+  if (res.status === 405 || res.status === 501) {
+    discard(res);
+    res = await fetchWithTimeout(url, {}, timeoutMs);
+  }
+  discard(res);
+  const type = res.headers.get("content-type");
+  return { ok: res.ok && (!type || type.startsWith("image/")), status: res.status };
+}
+
+let sharpModule;
+async function loadSharp() {
+  if (sharpModule === undefined) {
+    sharpModule = (await import("sharp").catch(() => null))?.default ?? null;
+    if (!sharpModule) console.warn("images.mirror staat aan, maar sharp is niet geïnstalleerd: afbeeldingen worden niet gemirrord");
+  }
+  return sharpModule;
+}
+
+/** Verklein één bron-afbeelding naar alle `sizes`; bestaande bestanden worden hergebruikt */
+async function mirrorImage(url, sizes, { outDir, baseUrl, timeoutMs }) {
+  const files = sizes.map(size => ({ size, name: `${hash(url)}-${size}.jpg` }));
+  const missing = [];
+  for (const f of files) {
+    if (!(await fs.access(path.join(outDir, "img", f.name)).then(() => true, () => false))) missing.push(f);
+  }
+
+  if (missing.length) {
+    const sharp = await loadSharp();
+    if (!sharp) return null;
+    const input = await fetchWithTimeout(url, {}, timeoutMs, async (res) => {
+      if (!res.ok) {
+        discard(res);
+        throw new Error(`Fetch failed ${res.status}`);
+      }
+      return Buffer.from(await res.arrayBuffer());
+    });
+    await fs.mkdir(path.join(outDir, "img"), { recursive: true });
+    for (const f of missing) {
+      await sharp(input)
+        .resize(f.size, f.size, { fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 82 })
+        .toFile(path.join(outDir, "img", f.name));
+    }
+  }
+  const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+  return Object.fromEntries(files.map(f => [f.size, new URL(`img/${f.name}`, base).href]));
+}
+
+/**
+ * Check-resultaten voor de images van één feed: url -> true (ok), false (kapot:
+ * 4xx of geen image/*) of null (onbekend: netwerkfout, timeout, 5xx). Alleen
+ * ok/kapot komt in `state` (url -> { ok, status, checkedAt }), die gedeeld wordt
+ * tussen feeds en builds; onbekend wordt de volgende build opnieuw geprobeerd.
+ * Offline of zonder images.check: leeg, alles geldt als ok.
+ */
+export async function checkImages(products, { options, queue, state, now, timeoutMs, offline }) {
+  if (offline || !options.check) return {};
+  const urls = Array.from(new Set(products.map(p => p.image).filter(Boolean)));
+
+  const check = async (url) => {
+    const known = state[url];
+    if (known && now.getTime() - new Date(known.checkedAt).getTime() < CHECK_TTL_MS) return known.ok;
+    try {
+      const result = await queue(() => checkImage(url, timeoutMs));
+      if (result.status >= 500) {
+        console.warn(`Image ${url}: HTTP ${result.status}, originele URL gebruikt`);
+        return null;
+      }
+      state[url] = { ...result, checkedAt: now.toISOString() };
+      if (!result.ok) console.warn(`Image ${url}: HTTP ${result.status}, placeholder gebruikt`);
+      return result.ok;
+    } catch (e) {
+      console.warn(`Image ${url}: ${e.name === "AbortError" ? "timeout" : e.message}, originele URL gebruikt`);
+      return null;
+    }
+  };
+
+  return Object.fromEntries(await Promise.all(urls.map(async url => [url, await check(url)])));
+}
+
+/**
+ * Image-stap voor de producten van één feed, met de resultaten van checkImages.
+ * Geeft nieuwe producten terug met `image` (of placeholder) en evt. `thumbs`.
+ */
+export async function processImages(products, { options, checks = {}, sizes, queue, outDir, timeoutMs, offline }) {
+  const placeholder = options.placeholder || "";
+
+  return Promise.all(products.map(async (p) => {
+    if (!p.image || checks[p.image] === false) return { ...p, image: placeholder };
+    if (offline || !options.mirror) return p;
+    try {
+      const thumbs = await queue(() => mirrorImage(p.image, sizes, { outDir, baseUrl: options.base_url, timeoutMs }));
+      return thumbs ? { ...p, thumbs } : p;
+    } catch (e) {
+      console.warn(`Image ${p.image}: mirror mislukt (${e.name === "AbortError" ? "timeout" : e.message}), originele URL gebruikt`);
+      return p;
+    }
+  }));
+}
+
+/** Check-resultaten ouder dan CHECK_TTL_MS zijn niet meer bruikbaar */
+export function pruneImageState(state, now) {
+  for (const [url, entry] of Object.entries(state)) {
+    if (now.getTime() - new Date(entry.checkedAt).getTime() >= CHECK_TTL_MS) delete state[url];
+  }
+}
+
+/**
+ * Gemirrorde bestanden in public/img/ die door geen enkele RSS- of e-mailoutput
+ * meer gebruikt worden opruimen (public/img blijft in de Actions-cache staan).
+ * Ook overgeslagen feeds tellen mee: hun output staat nog op schijf.
+ */
+export async function pruneMirroredImages(outDir) {
+  const imgDir = path.join(outDir, "img");
+  const images = await fs.readdir(imgDir).catch(() => []);
+  if (!images.length) return [];
+
+  const outputs = [];
+  for (const [dir, ext] of [["rss", ".xml"], ["email", ".html"]]) {
+    const files = await fs.readdir(path.join(outDir, dir)).catch(() => []);
+    for (const f of files.filter(f => f.endsWith(ext))) outputs.push(await fs.readFile(path.join(outDir, dir, f), "utf8"));
+  }
+  const used = outputs.join("\n");
+  const removed = images.filter(name => name.endsWith(".jpg") && !used.includes(`img/${name}`));
+  await Promise.all(removed.map(name => fs.unlink(path.join(imgDir, name))));
+  return removed;
+}
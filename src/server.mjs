@@ -0,0 +1,275 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { loadConfig, ConfigError, MAX_COLUMNS, localSourceFile } from "./config.mjs";
+import { processImages, DEFAULT_IMAGES } from "./images.mjs";
+import {
+  DEFAULT_FETCH, DEFAULT_EMAIL, limiter, fetchSource, readSourceFile,
+  applyFeedOptions, matchesFilter, feedVariants, variantSuffix, variantItems, apiJSON,
+  toRss, toAtom, toJsonFeed, emailHTML, dashboardHTML, sha1
+} from "./transform.mjs";
+
+/**
+ * Feeds op aanvraag renderen i.p.v. vooraf bakken:
+ *   npm run serve [-- --port 8080] [-- --ttl 300] [-- --fixtures <map>]
+ * /rss, /atom, /feed, /email en /api met query-parameters (cols, limit, offset,
+ * q, min_price, max_price), het dashboard op /, de rest statisch uit public/.
+ * Bronnen worden per feed `ttl` seconden gecachet.
+ */
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+const OUT_DIR = path.join(__dirname, "..", "public");
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: process.env.PORT || "8080" },
+    ttl: { type: "string", default: "300" },
+    fixtures: { type: "string" }
+  }
+});
+const TTL_MS = Number(args.ttl) * 1000;
+if (!(TTL_MS >= 0)) {
+  console.error(`Invalid --ttl: ${args.ttl}`);
+  process.exit(1);
+}
+const fixturesDir = args.fixtures ? path.resolve(args.fixtures) : null;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml"
+};
+
+// Per formaat: extensie, content-type en renderer (zelfde items als de build)
+const FORMATS = {
+  rss: { ext: ".xml", type: "application/rss+xml; charset=utf-8", render: toRss },
+  atom: { ext: ".xml", type: "application/atom+xml; charset=utf-8", render: toAtom },
+  feed: { ext: ".json", type: "application/feed+json; charset=utf-8", render: toJsonFeed },
+  email: { ext: ".html", type: "text/html; charset=utf-8", render: emailHTML }
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const config = await loadConfig().catch(err => {
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+});
+const site = config.site || {};
+const fetchOptions = { ...DEFAULT_FETCH, ...config.fetch };
+const imageOptions = { ...DEFAULT_IMAGES, ...config.images };
+const emailOptions = { ...DEFAULT_EMAIL, ...config.email };
+const queue = limiter(fetchOptions.concurrency);
+// Langste slug eerst: "pre-orders-switch-r4" moet niet als "pre-orders" + "-switch-r4" matchen
+const feedsBySlug = [...config.feeds].sort((a, b) => b.slug.length - a.slug.length);
+
+// Geparste bron per source-URL (of bestand): { loadedAt, loading }
+const sources = new Map();
+
+function loadSource(feed) {
+  const file = localSourceFile(feed, fixturesDir);
+  const key = file || feed.source;
+  const cached = sources.get(key);
+  if (cached && Date.now() - cached.loadedAt < TTL_MS) return cached;
+
+  const now = new Date();
+  const entry = {
+    loadedAt: now.getTime(),
+    loading: file ? readSourceFile(file, now) : queue(() => fetchSource(feed.source, now, fetchOptions))
+  };
+  // Mislukt zonder snapshot: niet cachen, volgende request opnieuw proberen
+  entry.loading.catch(() => sources.get(key) === entry && sources.delete(key));
+  sources.set(key, entry);
+  return entry;
+}
+
+/** Producten van een feed: feed-opties uit de config, daarna het query-filter */
+async function feedProducts(feed, query = {}) {
+  const entry = loadSource(feed);
+  let source;
+  try {
+    source = await entry.loading;
+  } catch (e) {
+    throw new HttpError(502, `Bron van ${feed.slug} niet beschikbaar: ${e.message}`);
+  }
+  let products = applyFeedOptions(source.products, { ...feed, limit: 0 });
+  if (query.filter) products = products.filter(p => matchesFilter(p, query.filter));
+  const limit = query.limit ?? (feed.limit > 0 ? feed.limit : products.length);
+  products = products.slice(query.offset ?? 0, (query.offset ?? 0) + limit);
+  return { source, products, now: new Date(entry.loadedAt), expiresAt: entry.loadedAt + TTL_MS };
+}
+
+function intParam(params, name, min, max = Infinity) {
+  const raw = params.get(name);
+  if (raw == null || raw === "") return undefined;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new HttpError(400, `${name} moet een geheel getal zijn${max < Infinity ? ` van ${min} t/m ${max}` : ` vanaf ${min}`}: ${raw}`);
+  }
+  return n;
+}
+
+function priceParam(params, name) {
+  const raw = params.get(name);
+  if (raw == null || raw === "") return undefined;
+  const n = Number(raw.replace(",", "."));
+  if (!Number.isFinite(n) || n < 0) throw new HttpError(400, `${name} moet een prijs zijn: ${raw}`);
+  return n;
+}
+
+function parseQuery(params) {
+  const filter = {
+    title_contains: params.get("q") || undefined,
+    min_price: priceParam(params, "min_price"),
+    max_price: priceParam(params, "max_price")
+  };
+  return {
+    cols: params.get("cols") === "hero" ? "hero" : intParam(params, "cols", 1, MAX_COLUMNS),
+    limit: intParam(params, "limit", 1),
+    offset: intParam(params, "offset", 0),
+    filter: Object.values(filter).some(v => v !== undefined) ? filter : null
+  };
+}
+
+/** "pre-orders-r4" -> { feed, perRow: 4 }; zonder suffix de default_per_row */
+function resolveName(name) {
+  for (const feed of feedsBySlug) {
+    if (name === feed.slug) return { feed, perRow: feed.default_per_row || 3 };
+    const m = name.startsWith(`${feed.slug}-`) && name.slice(feed.slug.length).match(/^-(?:r(\d+)|(hero))$/);
+    if (m) return { feed, perRow: m[2] ? "hero" : Number(m[1]) };
+  }
+  throw new HttpError(404, `Onbekende feed: ${name}`);
+}
+
+async function renderVariant(format, name, params) {
+  const { ext, type, render } = FORMATS[format];
+  const resolved = resolveName(name.endsWith(ext) ? name.slice(0, -ext.length) : name);
+  const { feed } = resolved;
+  const query = parseQuery(params);
+  const perRow = query.cols ?? resolved.perRow;
+  if (perRow !== "hero" && !(perRow >= 1 && perRow <= MAX_COLUMNS)) throw new HttpError(400, `Maximaal ${MAX_COLUMNS} kolommen`);
+
+  const { source, products: feedItems, now, expiresAt } = await feedProducts(feed, query);
+  // Placeholder alleen in de feeds; /api houdt de image uit de bron (zoals de build)
+  const products = await processImages(feedItems, { options: imageOptions, offline: true });
+  const { name: feedId, items, locale, labels, theme } = variantItems({ site, theme: config.theme, feed, products, perRow });
+  // Geen item-state zoals in de build: pubDate = moment van ophalen
+  items.forEach(item => item.pubDate = now);
+  const body = render({
+    site: { ...site, language: locale }, feedTitle: feed.title, feedId, items, stale: source.stale, now, labels,
+    theme, locale, email: emailOptions
+  });
+  return { type, body, expiresAt };
+}
+
+async function renderApi(name, params) {
+  const feed = resolveName(name.replace(/\.json$/, "")).feed;
+  const query = parseQuery(params);
+  const { source, products, now, expiresAt } = await feedProducts(feed, query);
+  return { type: MIME_TYPES[".json"], body: apiJSON({ feed, source, products, now }), expiresAt };
+}
+
+async function renderDashboard() {
+  const productCounts = {};
+  const indexLinks = [];
+  let expiresAt = Infinity;
+  for (const feed of config.feeds) {
+    try {
+      const result = await feedProducts(feed);
+      productCounts[feed.slug] = result.products.length;
+      expiresAt = Math.min(expiresAt, result.expiresAt);
+      indexLinks.push({
+        feed,
+        files: feedVariants(feed).map(perRow => ({ perRow, file: `${feed.slug}${variantSuffix(feed, perRow)}.xml` })),
+        stale: result.source.stale
+      });
+    } catch (e) {
+      console.error(`Error on ${feed.slug}:`, e.message);
+    }
+  }
+  return { type: MIME_TYPES[".html"], body: dashboardHTML({ config, indexLinks, productCounts }), expiresAt };
+}
+
+function decodePath(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    throw new HttpError(400, `Ongeldige URL: ${s}`);
+  }
+}
+
+/** If-None-Match kan een lijst zijn en zwakke tags (W/"...") bevatten */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header.split(",").some(tag => {
+    tag = tag.trim();
+    return tag === "*" || tag.replace(/^W\//, "") === etag;
+  });
+}
+
+function route(pathname, params) {
+  if (pathname === "/" || pathname === "/index.html") return renderDashboard();
+  const m = pathname.match(/^\/(rss|atom|feed|email|api)\/([^/]+)$/);
+  if (!m) return null;
+  const name = decodePath(m[2]);
+  return m[1] === "api" ? renderApi(name, params) : renderVariant(m[1], name, params);
+}
+
+function send(req, res, { type, body, expiresAt }) {
+  // Zelfde bron in de cache = zelfde output = zelfde ETag
+  const etag = `"${sha1(body).slice(0, 27)}"`;
+  const maxAge = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+  const headers = { "Content-Type": type, "Cache-Control": `public, max-age=${maxAge}`, ETag: etag };
+  if (etagMatches(req.headers["if-none-match"], etag)) {
+    res.writeHead(304, headers).end();
+    return;
+  }
+  res.writeHead(200, headers).end(req.method === "HEAD" ? undefined : body);
+}
+
+function serveStatic(req, res, pathname) {
+  // Alleen bestanden binnen public/ (niet public-old/ of ../)
+  const file = path.join(OUT_DIR, pathname);
+  if (file !== OUT_DIR && !file.startsWith(OUT_DIR + path.sep)) {
+    res.writeHead(403).end("Forbidden");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end(`Niet gevonden: ${pathname}`);
+      return;
+    }
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream" }).end(data);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD" }).end();
+    return;
+  }
+  try {
+    const rendering = route(url.pathname, url.searchParams);
+    if (!rendering) {
+      serveStatic(req, res, decodePath(url.pathname));
+      return;
+    }
+    send(req, res, await rendering);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error(`Error on ${url.pathname}:`, e);
+    res.writeHead(e.status || 500, { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" })
+      .end(e instanceof HttpError ? e.message : "Interne fout");
+  }
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`[serve] http://localhost:${args.port}/ – bronnen ${args.ttl}s gecachet${fixturesDir ? ` (fixtures: ${fixturesDir})` : ""}`);
+});
@@ -1,17 +1,30 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import crypto from "node:crypto";
+import { parseArgs } from "node:util";
 import fetch from "node-fetch";
 import { XMLParser } from "fast-xml-parser";
+import { loadConfig, ConfigError, FIXTURES_DIR, MAX_COLUMNS, localSourceFile, variantStatuses } from "./config.mjs";
+import { checkImages, processImages, pruneImageState, pruneMirroredImages, DEFAULT_IMAGES } from "./images.mjs";
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
-const CONFIG_PATH = path.join(__dirname, "..", "feeds.config.json");
 const OUT_DIR = path.join(__dirname, "..", "public");
+// Build-state tussen runs (in CI via actions/cache bewaard)
+const STATE_DIR = path.join(__dirname, "..", ".cache");
+const SNAPSHOT_DIR = path.join(STATE_DIR, "snapshots");
+const ITEMS_STATE = path.join(STATE_DIR, "items.json");
+const BUILDS_STATE = path.join(STATE_DIR, "builds.json");
+const IMAGES_STATE = path.join(STATE_DIR, "images.json");
+// Zo lang onthouden we een item nadat het uit de feed verdween
+const ITEM_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
 
 /**
  * Parse Nedgame feed:
  * <rss><items><product>...</product>...</items></rss>
  */
-function parseProducts(xmlText) {
+function parseProducts(xmlText, { now = new Date() } = {}) {
   const parser = new XMLParser({
     ignoreAttributes: false,
     cdataPropName: "__cdata",
@@ -26,6 +39,7 @@ function parseProducts(xmlText) {
     if (typeof v === "object" && "__cdata" in v) return String(v.__cdata).trim();
     return String(v).trim();
   };
+  const num = (v) => parseFloat(norm(v).replace(",", "."));
 
   return products
     .map(p => ({
@@ -33,9 +47,288 @@ function parseProducts(xmlText) {
       title: norm(p.title),
       link: norm(p.link),
       image: norm(p.image_link),
-      price: parseFloat(norm(p.price).replace(",", "."))
+      ...pricing(num(p.price), num(p.sale_price), num(p.old_price ?? p.regular_price ?? p.list_price)),
+      release_date: parseDate(norm(p.release_date ?? p.releasedate ?? p.availability_date))
     }))
-    .filter(p => p.id && p.title && p.link);
+    .filter(p => p.id && p.title && p.link)
+    .map(p => ({ ...p, released: p.release_date ? p.release_date < isoDay(now) : null }));
+}
+
+const isoDay = (d) => d.toISOString().slice(0, 10);
+
+/** Releasedatum naar YYYY-MM-DD; accepteert ISO (evt. met tijd) en DD-MM-YYYY / DD/MM/YYYY */
+function parseDate(v) {
+  if (!v) return null;
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+const asList = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(x => String(x).toLowerCase());
+
+/** Filter uit feeds.config.json: prijsbereik, titel bevat/bevat niet, id allow/deny */
+function matchesFilter(p, filter = {}) {
+  const title = p.title.toLowerCase();
+  const contains = asList(filter.title_contains);
+  const excludes = asList(filter.title_excludes);
+  const ids = asList(filter.ids);
+  const excludeIds = asList(filter.exclude_ids);
+
+  if (filter.min_price != null && !(p.price >= filter.min_price)) return false;
+  if (filter.max_price != null && !(p.price <= filter.max_price)) return false;
+  if (contains.length && !contains.some(t => title.includes(t))) return false;
+  if (excludes.some(t => title.includes(t))) return false;
+  if (ids.length && !ids.includes(p.id.toLowerCase())) return false;
+  if (excludeIds.includes(p.id.toLowerCase())) return false;
+  return true;
+}
+
+// Sorteringen voor `sort`; "source" (default) laat de bronvolgorde staan.
+// Array.prototype.sort is stabiel, dus gelijke waarden blijven in bronvolgorde.
+const SORTS = {
+  source: null,
+  price_asc: (a, b) => (isFinite(a.price) ? a.price : Infinity) - (isFinite(b.price) ? b.price : Infinity),
+  price_desc: (a, b) => (isFinite(b.price) ? b.price : -Infinity) - (isFinite(a.price) ? a.price : -Infinity),
+  title: (a, b) => a.title.localeCompare(b.title, "nl"),
+  // zonder datum achteraan
+  release_date: (a, b) => (a.release_date || "9999-99-99").localeCompare(b.release_date || "9999-99-99")
+};
+
+/** Feed-opties uit feeds.config.json: drop_released -> filter -> sort -> limit */
+function applyFeedOptions(products, feed) {
+  let out = products;
+  if (feed.drop_released) out = out.filter(p => !p.released);
+  if (feed.filter) out = out.filter(p => matchesFilter(p, feed.filter));
+  const compare = SORTS[feed.sort || "source"];
+  if (compare) out = [...out].sort(compare);
+  if (feed.limit > 0) out = out.slice(0, feed.limit);
+  return out;
+}
+
+/**
+ * Bepaal verkoopprijs + eventuele korting.
+ * `sale_price` (Google-stijl) wint van `price`; anders geldt een hogere
+ * `old_price`/`regular_price`/`list_price` als oude prijs.
+ */
+function pricing(price, salePrice, regularPrice) {
+  let current = price;
+  let old = regularPrice;
+  if (isFinite(salePrice) && salePrice > 0 && (!isFinite(price) || salePrice < price)) {
+    current = salePrice;
+    old = isFinite(price) ? price : regularPrice;
+  }
+  if (!isFinite(current) || !isFinite(old) || old <= current) {
+    return { price: current, old_price: null, discount: null };
+  }
+  return {
+    price: current,
+    old_price: old,
+    discount: Math.round((1 - current / old) * 100)
+  };
+}
+
+// Teksten in de feeds per taal; "fr" geldt voor fr-BE, fr-FR, ... Aanvullen/overschrijven
+// via `labels` in site of feed. {n}, {date} en {age} worden ingevuld.
+const LABELS = {
+  nl: {
+    per_row: "{n} per rij",
+    columns: "{n} kolommen",
+    set: "set {n}",
+    featured: "uitgelicht",
+    expected: "Verwacht: {date}",
+    hero_button: "Bestel nu",
+    unsubscribe: "Afmelden",
+    stale: "VEROUDERD: bron onbereikbaar, data van {date} ({age} oud)"
+  },
+  fr: {
+    per_row: "{n} par ligne",
+    columns: "{n} colonnes",
+    set: "lot {n}",
+    featured: "à la une",
+    expected: "Prévu : {date}",
+    hero_button: "Commander",
+    unsubscribe: "Se désinscrire",
+    stale: "OBSOLÈTE : source injoignable, données du {date} (âge : {age})"
+  },
+  en: {
+    per_row: "{n} per row",
+    columns: "{n} columns",
+    set: "set {n}",
+    featured: "featured",
+    expected: "Expected: {date}",
+    hero_button: "Order now",
+    unsubscribe: "Unsubscribe",
+    stale: "STALE: source unreachable, data from {date} ({age} old)"
+  }
+};
+
+/** Labels voor een locale: nl als basis, dan de taal, dan overrides uit de config */
+function resolveLabels(locale, ...overrides) {
+  const lang = locale.split("-")[0].toLowerCase();
+  return Object.assign({}, LABELS.nl, LABELS[lang], ...overrides.filter(Boolean));
+}
+
+/** label(labels, "per_row", { n: 4 }) -> "4 per rij" */
+function label(labels, key, vars = {}) {
+  return labels[key].replace(/\{(\w+)\}/g, (m, name) => name in vars ? vars[name] : m);
+}
+
+/** Taal van een feed: feed.language, anders site.language */
+const feedLocale = (site, feed) => feed.language || site.language || "nl-NL";
+const feedLabels = (site, feed) => resolveLabels(feedLocale(site, feed), site.labels, feed.labels);
+
+function fmtDate(isoDate, locale = "nl-NL") {
+  const date = new Intl.DateTimeFormat(locale, { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" })
+    .format(new Date(`${isoDate}T00:00:00Z`));
+  // "14 nov. 2026" -> "14 nov 2026" in onze Nederlandse nieuwsbrieven
+  return locale.startsWith("nl") ? date.replace(".", "") : date;
+}
+
+/**
+ * Standaardthema = de huidige Nedgame-look. Overschrijfbaar via `theme` in
+ * feeds.config.json (globaal) en per feed (`feeds[].theme`).
+ */
+const DEFAULT_THEME = {
+  brand_color: "#00669b",          // producttitel
+  text_color: "#000000",           // link/cardtekst
+  price_color: "#000000",
+  old_price_color: "#888888",
+  release_color: "#555555",
+  accent_color: "#e60000",         // kortingsbadge
+  accent_text_color: "#ffffff",
+  font_family: "Arial, sans-serif",
+  image_size: { 1: 180, 2: 180, 3: 140, 4: 110, 5: 86, 6: 72 },
+  button_label: null,              // bv. "Bekijk" -> knop onder de prijs
+  hero_image_size: 360,            // max breedte/hoogte van de hero-afbeelding
+  hero_button_label: "Bestel nu",
+  button_color: "#e60000",
+  button_text_color: "#ffffff",
+  button_radius: 4,
+  // Dark mode (Apple Mail, iOS, Outlook): alleen via CSS, inline blijft light
+  dark_background: "#1e1e1e",
+  dark_text_color: "#f2f2f2",
+  dark_brand_color: "#5cb8e6",
+  dark_muted_color: "#a6a6a6"
+};
+
+/** Thema van een feed; de hero-knop volgt de taal tenzij een thema hem zet */
+function feedTheme(site, theme, feed) {
+  return resolveTheme({ hero_button_label: feedLabels(site, feed).hero_button }, theme, feed.theme);
+}
+
+/** Thema's samenvoegen (laatste wint), image_size per kolomaantal */
+function resolveTheme(...themes) {
+  return themes.filter(Boolean).reduce((out, t) => ({
+    ...out,
+    ...t,
+    image_size: { ...out.image_size, ...t.image_size }
+  }), DEFAULT_THEME);
+}
+
+// Maatvoering per kolomaantal (cellWidth in %, modernWidth in px voor de div-variant).
+// 1-4 zijn met de hand afgesteld; meer kolommen worden afgeleid in cardLayout().
+const CARD_LAYOUTS = {
+  1: { padding: 5, imgMargin: 8, titleSize: 14, titleLineHeight: 1.3, titleMinHeight: 40, priceSize: 16, priceMargin: 4 },
+  2: { cellWidth: 48, padding: 5, imgMargin: 8, titleSize: 14, titleLineHeight: 1.3, titleMinHeight: 40, priceSize: 16, priceMargin: 4 },
+  3: { cellWidth: 32, modernWidth: 180, padding: 4, imgMargin: 7, titleSize: 12, titleLineHeight: 1.2, titleMinHeight: 32, priceSize: 14, priceMargin: 3 },
+  4: { cellWidth: 23, modernWidth: 140, padding: 3, imgMargin: 6, titleSize: 11, titleLineHeight: 1.2, titleMinHeight: 30, priceSize: 13, priceMargin: 3 }
+};
+
+// Breedte waarop de moderne variant op mobiel moet passen (375px toestel minus marges)
+const MOBILE_WIDTH = 320;
+
+/**
+ * Layout voor 5..MAX_COLUMNS kolommen: op mobiel wrapt de rij naar ceil(n/2)
+ * per regel, dus de min-width van een cel is de kleinste van desktop- en mobielbreedte.
+ */
+function cardLayout(perRow) {
+  if (CARD_LAYOUTS[perRow]) return CARD_LAYOUTS[perRow];
+  const cols = Math.min(Math.max(perRow, 1), MAX_COLUMNS);
+  const mobileCols = Math.ceil(cols / 2);
+  return {
+    cellWidth: Math.floor(96 / cols),
+    modernWidth: Math.min(Math.floor(560 / cols), Math.floor(MOBILE_WIDTH / mobileCols)),
+    padding: 2,
+    imgMargin: 5,
+    titleSize: 10,
+    titleLineHeight: 1.2,
+    titleMinHeight: 26,
+    priceSize: cols > 5 ? 11 : 12,
+    priceMargin: 2
+  };
+}
+
+/** "Verwacht: 14 nov 2026" regel voor pre-order cards */
+function releaseHTML(p, opts, theme, { fontSize }) {
+  if (!opts.showReleaseDate || !p.release_date || p.released) return "";
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const labels = opts.labels || LABELS.nl;
+  return `
+          <div class="ng-muted" style="margin-top:2px; color:${theme.release_color}; text-align:center; font-size:${fontSize}px; font-family: ${theme.font_family};">
+            ${esc(label(labels, "expected", { date: fmtDate(p.release_date, opts.locale) }))}
+          </div>`;
+}
+
+const priceFormats = new Map();
+
+/** "€ 59,99" (nl), "59,99 €" (fr-BE); geen getal -> "€ -" */
+function fmtPrice(v, locale = "nl-NL") {
+  if (!Number.isFinite(v)) return "€ -";
+  if (!priceFormats.has(locale)) priceFormats.set(locale, new Intl.NumberFormat(locale, { style: "currency", currency: "EUR" }));
+  return priceFormats.get(locale).format(v);
+}
+
+/** Prijsblok: bij korting een doorgestreepte oude prijs + "-28%" badge boven de prijs */
+function priceHTML(p, theme, { fontSize, marginTop, locale }) {
+  const hasDiscount = p.old_price && p.discount;
+  const oldPriceHTML = hasDiscount ? `
+          <div style="margin-top:${marginTop}px; text-align:center; font-size:${Math.round(fontSize * 0.8)}px; line-height:1.3; font-family: ${theme.font_family};">
+            <span class="ng-muted" style="color:${theme.old_price_color}; text-decoration:line-through;">${fmtPrice(p.old_price, locale)}</span>
+            <span style="display:inline-block; background:${theme.accent_color}; color:${theme.accent_text_color}; font-weight:bold; padding:0 4px; border-radius:3px;">-${p.discount}%</span>
+          </div>` : "";
+
+  return `${oldPriceHTML}
+          <div class="ng-price" style="margin-top:${hasDiscount ? 0 : marginTop}px; color:${theme.price_color}; font-weight:bold; text-align:center; font-size:${fontSize}px; font-family: ${theme.font_family};">
+            ${fmtPrice(p.price, locale)}
+          </div>`;
+}
+
+/** Optionele knop onder de prijs (theme.button_label); een span, want hij zit al in de <a> */
+function buttonHTML(theme, { fontSize }) {
+  if (!theme.button_label) return "";
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return `
+          <div style="margin-top:6px; text-align:center;">
+            <span style="display:inline-block; padding:4px 10px; background:${theme.button_color}; color:${theme.button_text_color}; border-radius:${theme.button_radius}px; font-weight:bold; font-size:${fontSize}px; font-family: ${theme.font_family};">${esc(theme.button_label)}</span>
+          </div>`;
+}
+
+const escAttr = (s) => String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+/** Inhoud van één productcard (gedeeld door Outlook- en moderne variant) */
+function cardHTML(p, perRow, opts) {
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const theme = opts.theme || DEFAULT_THEME;
+  const L = cardLayout(perRow);
+  const img = theme.image_size[perRow] || L.modernWidth - 2 * L.padding - 16;
+  const src = p.thumbs?.[img] || p.image;
+  // zonder afbeelding (en zonder placeholder) dezelfde hoogte, geen broken image
+  const image = src
+    ? `<img src="${escAttr(src)}" alt="${esc(p.title)}"
+                 style="width:100%; max-width:${img}px; height:${img}px; object-fit:contain; display:inline-block; margin-bottom:${L.imgMargin}px; background:#ffffff; border-radius:4px;" />`
+    : `<div style="height:${img}px; margin-bottom:${L.imgMargin}px;">&nbsp;</div>`;
+
+  return `
+        <a href="${escAttr(p.link)}" class="ng-card" style="text-decoration:none; color:${theme.text_color}; display:block;">
+          <div style="width:100%; text-align:center;">
+            ${image}
+          </div>
+          <div class="ng-title" style="margin:0; font-weight:bold; font-size:${L.titleSize}px; line-height:${L.titleLineHeight}; text-align:center; min-height:${L.titleMinHeight}px; font-family: ${theme.font_family}; color: ${theme.brand_color};">
+            ${esc(p.title)}
+          </div>${releaseHTML(p, opts, theme, { fontSize: L.titleSize - 1 })}${priceHTML(p, theme, { fontSize: L.priceSize, marginTop: L.priceMargin, locale: opts.locale })}${buttonHTML(theme, { fontSize: L.titleSize })}
+        </a>`;
 }
 
 /** Product card HTML - niet meer gebruikt, maar behouden voor backward compatibility */
@@ -61,115 +354,36 @@ function productCardHTML(p, perRow) {
   `.trim();
 }
 
-/** Hybrid responsive layout - table voor Outlook, div voor moderne clients */
-function rowHTML(productsInRow, perRow) {
-  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-  
-  if (perRow === 4) {
-    // 4 kolommen -> 2x2 op mobiel met hybrid approach
-    const outlookCells = productsInRow.map(p => `
-      <td width="23%" style="width: 23%; padding: 3px; border: 0px; vertical-align: top;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:110px; height:110px; object-fit:contain; display:inline-block; margin-bottom:6px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:11px; line-height:1.2; text-align:center; min-height:30px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:3px; color:#000000; font-weight:bold; text-align:center; font-size:13px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
-      </td>
-    `).join("");
-    
-    const modernCells = productsInRow.map(p => `
-      <div style="display: inline-block; width: 100%; max-width: 140px; min-width: 140px; vertical-align: top; font-size: 14px; padding: 3px; box-sizing: border-box;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:110px; height:110px; object-fit:contain; display:inline-block; margin-bottom:6px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:11px; line-height:1.2; text-align:center; min-height:30px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:3px; color:#000000; font-weight:bold; text-align:center; font-size:13px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
-      </div>
-    `).join("");
-    
-    const emptyCells = 4 - productsInRow.length;
-    const emptyOutlookHTML = emptyCells > 0 ? 
-      Array(emptyCells).fill(`<td width="23%" style="width: 23%; padding: 3px; border: 0px; vertical-align: top;">&nbsp;</td>`).join('') : '';
-    
-    return `
-      <![CDATA[
-        <!--[if mso]>
-        <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%"
-               style="border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: Arial, sans-serif; table-layout: fixed;">
-          <tr>
-            ${outlookCells}
-            ${emptyOutlookHTML}
-          </tr>
-        </table>
-        <![endif]-->
-        <!--[if !mso]><!-->
-        <div style="width: 100%; max-width: 560px; margin: 0 auto; font-size: 0; text-align: center; font-family: Arial, sans-serif;">
-          ${modernCells}
-        </div>
-        <!--<![endif]-->
-      ]]>
-    `.trim();
-  }
-  
-  if (perRow === 3) {
-    // 3 kolommen hybrid
+/**
+ * Hybrid responsive layout - table voor Outlook, div voor moderne clients.
+ * Geeft kale HTML terug; toRss() zet hem in CDATA, Atom/JSON Feed gebruiken hem zo.
+ */
+function rowHTML(productsInRow, perRow, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const L = cardLayout(perRow);
+  const tableStyle = `border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: ${theme.font_family};`;
+
+  if (perRow >= 3) {
+    // 3+ kolommen hybrid: 4 -> 2x2 op mobiel, 5/6 -> 3 per regel (zie cardLayout)
+    const tdStyle = `width: ${L.cellWidth}%; padding: ${L.padding}px; border: 0px; vertical-align: top;`;
     const outlookCells = productsInRow.map(p => `
-      <td width="32%" style="width: 32%; padding: 4px; border: 0px; vertical-align: top;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:140px; height:140px; object-fit:contain; display:inline-block; margin-bottom:7px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:12px; line-height:1.2; text-align:center; min-height:32px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:3px; color:#000000; font-weight:bold; text-align:center; font-size:14px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
+      <td width="${L.cellWidth}%" style="${tdStyle}">${cardHTML(p, perRow, opts)}
       </td>
     `).join("");
-    
+
     const modernCells = productsInRow.map(p => `
-      <div style="display: inline-block; width: 100%; max-width: 180px; min-width: 180px; vertical-align: top; font-size: 14px; padding: 4px; box-sizing: border-box;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:140px; height:140px; object-fit:contain; display:inline-block; margin-bottom:7px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:12px; line-height:1.2; text-align:center; min-height:32px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:3px; color:#000000; font-weight:bold; text-align:center; font-size:14px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
+      <div style="display: inline-block; width: 100%; max-width: ${L.modernWidth}px; min-width: ${L.modernWidth}px; vertical-align: top; font-size: 14px; padding: ${L.padding}px; box-sizing: border-box;">${cardHTML(p, perRow, opts)}
       </div>
     `).join("");
-    
-    const emptyCells = 3 - productsInRow.length;
+
+    const emptyCells = perRow - productsInRow.length;
     const emptyOutlookHTML = emptyCells > 0 ?
-      Array(emptyCells).fill(`<td width="32%" style="width: 32%; padding: 4px; border: 0px; vertical-align: top;">&nbsp;</td>`).join('') : '';
-    
+      Array(emptyCells).fill(`<td width="${L.cellWidth}%" style="${tdStyle}">&nbsp;</td>`).join('') : '';
+
     return `
-      <![CDATA[
         <!--[if mso]>
-        <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%"
-               style="border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: Arial, sans-serif; table-layout: fixed;">
+        <table role="presentation" class="ng-bg" cellpadding="0" cellspacing="0" border="0" width="100%"
+               style="${tableStyle} table-layout: fixed;">
           <tr>
             ${outlookCells}
             ${emptyOutlookHTML}
@@ -177,77 +391,81 @@ function rowHTML(productsInRow, perRow) {
         </table>
         <![endif]-->
         <!--[if !mso]><!-->
-        <div style="width: 100%; max-width: 560px; margin: 0 auto; font-size: 0; text-align: center; font-family: Arial, sans-serif;">
+        <div class="ng-bg" style="width: 100%; max-width: 560px; margin: 0 auto; font-size: 0; text-align: center; font-family: ${theme.font_family};">
           ${modernCells}
         </div>
         <!--<![endif]-->
-      ]]>
     `.trim();
   }
-  
+
   // Voor 2 kolommen: blijf bij table (werkt goed)
   if (perRow === 2) {
+    const tdStyle = `width: ${L.cellWidth}%; padding: ${L.padding}px; border: 0px; vertical-align: top; box-sizing: border-box;`;
     const cells = productsInRow.map(p => `
-      <td style="width: 48%; padding: 5px; border: 0px; vertical-align: top; box-sizing: border-box;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:180px; height:180px; object-fit:contain; display:inline-block; margin-bottom:8px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:14px; line-height:1.3; text-align:center; min-height:40px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:4px; color:#000000; font-weight:bold; text-align:center; font-size:16px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
+      <td style="${tdStyle}">${cardHTML(p, perRow, opts)}
       </td>
     `).join("");
-    
+
     const emptyCells = 2 - productsInRow.length;
     const emptyHTML = emptyCells > 0 ?
-      Array(emptyCells).fill(`<td style="width: 48%; padding: 5px; border: 0px; vertical-align: top; box-sizing: border-box;">&nbsp;</td>`).join('') : '';
-    
+      Array(emptyCells).fill(`<td style="${tdStyle}">&nbsp;</td>`).join('') : '';
+
     return `
-      <![CDATA[
-        <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%"
-               style="border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: Arial, sans-serif; table-layout: fixed;">
+        <table role="presentation" class="ng-bg" cellpadding="0" cellspacing="0" border="0" width="100%"
+               style="${tableStyle} table-layout: fixed;">
           <tr>
             ${cells}
             ${emptyHTML}
           </tr>
         </table>
-      ]]>
     `.trim();
   }
-  
+
   // Voor 1 kolom
   const cells = productsInRow.map(p => `
     <tr>
-      <td style="padding: 5px; border: 0px; vertical-align: top;">
-        <a href="${p.link}" style="text-decoration:none; color:#000; display:block;">
-          <div style="width:100%; text-align:center;">
-            <img src="${p.image}" alt="${esc(p.title)}"
-                 style="width:100%; max-width:180px; height:180px; object-fit:contain; display:inline-block; margin-bottom:8px;" />
-          </div>
-          <div style="margin:0; font-weight:bold; font-size:14px; line-height:1.3; text-align:center; min-height:40px; font-family: Arial, sans-serif; color: #00669b;">
-            ${esc(p.title)}
-          </div>
-          <div style="margin-top:4px; color:#000000; font-weight:bold; text-align:center; font-size:16px; font-family: Arial, sans-serif;">
-            € ${isFinite(p.price) ? p.price.toFixed(2) : esc(p.price)}
-          </div>
-        </a>
+      <td style="padding: 5px; border: 0px; vertical-align: top;">${cardHTML(p, 1, opts)}
       </td>
     </tr>
   `).join("");
-  
+
   return `
-    <![CDATA[
-      <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%"
-             style="border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: Arial, sans-serif;">
+      <table role="presentation" class="ng-bg" cellpadding="0" cellspacing="0" border="0" width="100%"
+             style="${tableStyle}">
         ${cells}
       </table>
-    ]]>
+  `.trim();
+}
+
+/** Hero: één uitgelicht product groot, met brede afbeelding en "Bestel nu" knop */
+function heroHTML(p, opts = {}) {
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const theme = opts.theme || DEFAULT_THEME;
+  const img = theme.hero_image_size;
+  const src = p.thumbs?.[img] || p.image;
+
+  return `
+      <table role="presentation" class="ng-bg" cellpadding="0" cellspacing="0" border="0" width="100%"
+             style="border-collapse:collapse; width:100%; max-width:560px; margin: 0 auto; font-family: ${theme.font_family};">
+        <tr>
+          <td style="padding: 10px 5px; border: 0px; vertical-align: top; text-align: center;">
+            <a href="${escAttr(p.link)}" class="ng-card" style="text-decoration:none; color:${theme.text_color}; display:block;">
+              ${src ? `<img src="${escAttr(src)}" alt="${esc(p.title)}" width="${img}"
+                   style="width:100%; max-width:${img}px; height:auto; max-height:${img}px; object-fit:contain; display:block; margin:0 auto 10px; background:#ffffff; border-radius:4px;" />` : ""}
+              <div class="ng-title" style="margin:0; font-weight:bold; font-size:20px; line-height:1.3; text-align:center; font-family: ${theme.font_family}; color: ${theme.brand_color};">
+                ${esc(p.title)}
+              </div>${releaseHTML(p, opts, theme, { fontSize: 14 })}${priceHTML(p, theme, { fontSize: 22, marginTop: 6, locale: opts.locale })}
+            </a>
+            <table role="presentation" cellpadding="0" cellspacing="0" border="0" align="center" style="margin: 12px auto 0;">
+              <tr>
+                <td bgcolor="${theme.button_color}" style="background:${theme.button_color}; border-radius:${theme.button_radius}px;">
+                  <a href="${escAttr(p.link)}" style="display:inline-block; padding:10px 28px; color:${theme.button_text_color}; font-weight:bold; font-size:16px; text-decoration:none; font-family: ${theme.font_family};">${esc(theme.hero_button_label)}</a>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
   `.trim();
 }
 
@@ -274,129 +492,881 @@ function chunk(array, size) {
   return out;
 }
 
-/** Bouw RSS 2.0 met responsive cards */
-function toRss({ site, feedTitle, itemsChunks, perRow }) {
-  const pubDate = new Date().toUTCString();
-  const esc = (s) => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+/** Hero-variant: eerste item is het uitgelichte product, daarna een grid van heroColumns */
+function heroChunks(products, heroColumns) {
+  if (!products.length) return [];
+  return [[products[0]], ...chunk(products.slice(1), heroColumns)];
+}
+
+/** HTML in CDATA; "]]>" in de inhoud wordt gesplitst zodat de sectie niet vroeg sluit */
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/** Channel-omschrijving, met verouderd-melding als de bron faalde */
+function feedDescription(site, stale, labels = LABELS.nl) {
+  const locale = site.language || "nl-NL";
+  return `${site.description || "Proxy feed"}${stale ? ` [${label(labels, "stale", { date: stale.fetchedAt, age: fmtAge(stale.ageMs, locale) })}]` : ""}`;
+}
+
+// MIME-type op basis van de extensie; onbekend -> image/jpeg (zoals voorheen)
+const IMAGE_TYPES = {
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif",
+  webp: "image/webp", avif: "image/avif", svg: "image/svg+xml"
+};
+
+function imageType(url) {
+  const ext = String(url).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return IMAGE_TYPES[ext] || "image/jpeg";
+}
+
+/** Platte-tekst samenvatting van een item: "Titel – € 59,99 | Titel – € 19,99" */
+function itemSummary(products, locale) {
+  return products
+    .map(p => `${p.title} – ${fmtPrice(p.price, locale)}`)
+    .join(" | ");
+}
+
+/**
+ * pubDate = eerste build waarin deze inhoud (GUID) verscheen, uit `seen`
+ * (guid -> { firstSeen, lastSeen }). Ongewijzigde rijen houden zo hun pubDate
+ * en zijn niet "nieuw" voor ActiveCampaign.
+ */
+function stampItems(items, seen, now) {
+  for (const item of items) {
+    const entry = seen[item.guid] ??= { firstSeen: now.toISOString() };
+    entry.lastSeen = now.toISOString();
+    item.pubDate = new Date(entry.firstSeen);
+  }
+}
+
+/** Nieuwste pubDate als lastBuildDate/updated, zodat die alleen bij nieuwe inhoud verandert */
+function latestPubDate(items, now) {
+  return items.length ? new Date(Math.max(...items.map(i => i.pubDate.getTime()))) : now;
+}
+
+/** Afbeeldingsmaten die de varianten van een feed gebruiken (voor images.mirror) */
+function imageSizes(theme, variants, heroColumns) {
+  const sizes = variants.map(v => v === "hero" ? theme.image_size[heroColumns] : theme.image_size[v]);
+  if (variants.includes("hero")) sizes.push(theme.hero_image_size);
+  return Array.from(new Set(sizes.filter(Boolean)));
+}
+
+/**
+ * Dark mode hints bij de cards: color-scheme, prefers-color-scheme (Apple Mail,
+ * iOS, moderne clients) en [data-ogsc]/[data-ogsb] (Outlook.com, Outlook-apps).
+ * Grijpt aan op de ng-* classes; de inline stijlen blijven de light-versie.
+ * Afbeeldingen staan op een witte ondergrond, zodat transparante packshots leesbaar blijven.
+ */
+function darkModeCSS(theme) {
+  return `<style type="text/css">
+  :root { color-scheme: light dark; supported-color-schemes: light dark; }
+  @media (prefers-color-scheme: dark) {
+    .ng-bg { background: ${theme.dark_background} !important; }
+    .ng-card, .ng-price { color: ${theme.dark_text_color} !important; }
+    .ng-title { color: ${theme.dark_brand_color} !important; }
+    .ng-muted { color: ${theme.dark_muted_color} !important; }
+  }
+  [data-ogsb] .ng-bg { background: ${theme.dark_background} !important; }
+  [data-ogsc] .ng-card, [data-ogsc] .ng-price { color: ${theme.dark_text_color} !important; }
+  [data-ogsc] .ng-title { color: ${theme.dark_brand_color} !important; }
+  [data-ogsc] .ng-muted { color: ${theme.dark_muted_color} !important; }
+</style>`;
+}
+
+/** Items (één per chunk) - gedeeld door RSS, Atom en JSON Feed */
+function buildItems({ site, feedTitle, feedId, itemsChunks, perRow, opts }) {
+  const isHero = perRow === "hero";
 
-  const itemXml = itemsChunks.map((chunk, idx) => {
+  return itemsChunks.map((chunk, idx) => {
     // Voor 2 kolommen: gebruik alle producten in chunk voor een enkele RSS item
     // Voor andere kolommen: normale gedrag (chunk is een rij)
-    const itemTitle = perRow === 2 
-      ? `${feedTitle} – ${perRow} kolommen`
+    // Hero: item 1 is het uitgelichte product, de rest zijn rijen van opts.heroColumns
+    const labels = opts.labels || LABELS.nl;
+    const title = isHero
+      ? (idx === 0
+        ? `${feedTitle} – ${label(labels, "featured")}`
+        : `${feedTitle} – ${label(labels, "per_row", { n: opts.heroColumns })} – ${label(labels, "set", { n: idx })}`)
+      : perRow === 2
+      ? `${feedTitle} – ${label(labels, "columns", { n: perRow })}`
       : (itemsChunks.length > 1
-        ? `${feedTitle} – ${perRow} per rij – set ${idx + 1}`
-        : `${feedTitle} – ${perRow} per rij`);
+        ? `${feedTitle} – ${label(labels, "per_row", { n: perRow })} – ${label(labels, "set", { n: idx + 1 })}`
+        : `${feedTitle} – ${label(labels, "per_row", { n: perRow })}`);
+
+    const body = isHero && idx === 0
+      ? heroHTML(chunk[0], opts)
+      : rowHTML(chunk, isHero ? opts.heroColumns : perRow, opts);
+    // Dark mode CSS in elk item: met "alleen nieuwe items" in ActiveCampaign valt het eerste item vaak weg
+    const html = `${darkModeCSS(opts.theme || DEFAULT_THEME)}\n${body}`;
+
+    return {
+      title,
+      link: chunk[0]?.link || site.link,
+      // GUID op inhoud (zonder CSS): zelfde rij = zelfde GUID, ook bij een andere positie of dark_* kleur
+      guid: `${feedId}-${sha1(body).slice(0, 16)}`,
+      image: chunk[0]?.image,
+      products: chunk,
+      summary: itemSummary(chunk, opts.locale),
+      body,
+      html
+    };
+  });
+}
+
+/** Bouw RSS 2.0 met responsive cards */
+function toRss({ site, feedTitle, items, stale, now, labels }) {
+  const lastBuildDate = latestPubDate(items, now).toUTCString();
+  const esc = (s) => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
 
-    const firstLink = chunk[0]?.link || site.link;
-    const firstImage = chunk[0]?.image;
-    const enclosure = firstImage ? `<enclosure url="${firstImage}" length="0" type="image/jpeg" />` : "";
+  const attr = (s) => esc(s).replace(/"/g, "&quot;");
+
+  // <description> is platte tekst, de volledige HTML staat in <content:encoded>;
+  // elke productafbeelding als <media:content>, de eerste ook als thumbnail/enclosure
+  const itemXml = items.map(item => {
+    const enclosure = item.image ? `<enclosure url="${attr(item.image)}" length="0" type="${imageType(item.image)}" />` : "";
+    const thumbnail = item.image ? `<media:thumbnail url="${attr(item.image)}" />` : "";
+    const media = item.products.filter(p => p.image).map(p => `
+        <media:content url="${attr(p.image)}" medium="image" type="${imageType(p.image)}">
+          <media:title type="plain">${esc(p.title)}</media:title>
+        </media:content>`).join("");
 
     return `
       <item>
-        <title>${esc(itemTitle)}</title>
-        <link>${firstLink}</link>
-        <guid isPermaLink="false">${esc(`${feedTitle}-${perRow}-${idx + 1}-${chunk[0]?.id || Date.now()}`)}</guid>
-        <pubDate>${pubDate}</pubDate>
-        <description>
-          ${rowHTML(chunk, perRow)}
-        </description>
+        <title>${esc(item.title)}</title>
+        <link>${esc(item.link)}</link>
+        <guid isPermaLink="false">${esc(item.guid)}</guid>
+        <pubDate>${item.pubDate.toUTCString()}</pubDate>
+        <description>${esc(item.summary)}</description>
+        <content:encoded>
+          ${cdata(item.html)}
+        </content:encoded>
         ${enclosure}
+        ${thumbnail}${media}
       </item>
     `.trim();
   }).join("\n");
 
   return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
   <channel>
     <title>${esc(feedTitle || site.title)}</title>
-    <link>${site.link}</link>
-    <description>${esc(site.description || "Proxy feed")}</description>
+    <link>${esc(site.link)}</link>
+    <description>${esc(feedDescription(site, stale, labels))}</description>
     <language>${site.language || "nl-NL"}</language>
-    <lastBuildDate>${pubDate}</lastBuildDate>
+    <lastBuildDate>${lastBuildDate}</lastBuildDate>
     ${itemXml}
   </channel>
 </rss>`.trim();
 }
 
-async function buildOneVariant({ site, feed, products, perRow }) {
-  const chunks = chunk(products, Math.max(1, perRow));
-  const rssXml = toRss({
+/** Atom 1.0 met dezelfde items; id's zijn IRI's onder site.link */
+function toAtom({ site, feedTitle, feedId, items, stale, now, labels }) {
+  const updated = latestPubDate(items, now).toISOString();
+  const esc = (s) => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g, "&quot;");
+  const baseId = `${site.link || "https://www.nedgame.nl/"}#feed/${feedId}`;
+
+  const entryXml = items.map(item => `
+  <entry>
+    <title>${esc(item.title)}</title>
+    <link href="${esc(item.link)}" />
+    <id>${esc(`${baseId}/${encodeURIComponent(item.guid)}`)}</id>
+    <updated>${item.pubDate.toISOString()}</updated>
+    <summary>${esc(item.summary)}</summary>
+    <content type="html">${cdata(item.html)}</content>
+  </entry>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${esc(site.language || "nl-NL")}">
+  <title>${esc(feedTitle || site.title)}</title>
+  <subtitle>${esc(feedDescription(site, stale, labels))}</subtitle>
+  <link href="${esc(site.link)}" />
+  <id>${esc(baseId)}</id>
+  <updated>${updated}</updated>
+  <author><name>${esc(site.title || "Nedgame")}</name></author>${entryXml}
+</feed>`;
+}
+
+/** JSON Feed 1.1 (https://jsonfeed.org/version/1.1) met dezelfde items */
+function toJsonFeed({ site, feedTitle, items, stale, labels }) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feedTitle || site.title,
+    home_page_url: site.link,
+    description: feedDescription(site, stale, labels),
+    language: site.language || "nl-NL",
+    items: items.map(item => ({
+      id: item.guid,
+      url: item.link,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      ...(item.image && { image: item.image }),
+      date_published: item.pubDate.toISOString()
+    }))
+  }, null, 2);
+}
+
+/**
+ * UTM-parameters aan een productlink hangen. Waarden zijn templates met
+ * {slug}, {variant} (r4 / hero), {perRow} en {id}; null laat een parameter weg.
+ * Bestaande query en #hash blijven intact, al aanwezige keys worden niet overschreven.
+ */
+function tagLink(url, utm, vars) {
+  if (!url || !utm) return url;
+  const [base, hash = ""] = url.split(/#(.*)/s);
+  const present = new Set(Array.from(new URLSearchParams(base.split("?")[1] || "").keys()));
+  const params = Object.entries(utm)
+    .filter(([key, value]) => value != null && !present.has(key))
+    .map(([key, value]) => {
+      const filled = String(value).replace(/\{(\w+)\}/g, (m, name) => name in vars ? vars[name] : m);
+      return `${encodeURIComponent(key)}=${encodeURIComponent(filled)}`;
+    });
+  if (!params.length) return url;
+  const sep = !base.includes("?") ? "?" : /[?&]$/.test(base) ? "" : "&";
+  return `${base}${sep}${params.join("&")}${hash ? `#${hash}` : ""}`;
+}
+
+/** Bestandsnaam-suffix: default_per_row zonder suffix, varianten met -rX, hero met -hero */
+function variantSuffix(feed, perRow) {
+  if (perRow === "hero") return "-hero";
+  return perRow === (feed.default_per_row || 3) ? "" : `-r${perRow}`;
+}
+
+/** E-mails altijd met expliciete variant: {slug}-r4.html, {slug}-hero.html */
+function emailName(feed, perRow) {
+  return `${feed.slug}-${perRow === "hero" ? "hero" : `r${perRow}`}`;
+}
+
+// Standalone e-mail; overschrijfbaar via "email" in feeds.config.json
+const DEFAULT_EMAIL = {
+  unsubscribe_url: "%UNSUBSCRIBELINK%",  // ActiveCampaign personalisatie-tag
+  footer: null                           // tekst boven de afmeldlink; null = site.title
+};
+
+/**
+ * Complete e-mail voor public/email/: de item-HTML van de RSS (zelfde cards)
+ * in een 600px layout met header, en een footer met afmeldlink.
+ */
+function emailHTML({ site, feedTitle, items, theme, locale, labels, email }) {
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const font = theme.font_family;
+  const rows = items.map(item => `
+          <tr>
+            <td style="padding: 0 20px 10px;">
+              ${item.body}
+            </td>
+          </tr>`).join("");
+
+  return `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:o="urn:schemas-microsoft-com:office:office" lang="${escAttr(locale)}">
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="x-apple-disable-message-reformatting" />
+<meta name="color-scheme" content="light dark" />
+<meta name="supported-color-schemes" content="light dark" />
+<title>${esc(feedTitle)}</title>
+<!--[if mso]><xml><o:OfficeDocumentSettings><o:PixelsPerInch>96</o:PixelsPerInch></o:OfficeDocumentSettings></xml><![endif]-->
+<style type="text/css">
+  body { margin: 0; padding: 0; width: 100% !important; -webkit-text-size-adjust: 100%; -ms-text-size-adjust: 100%; }
+  table { border-collapse: collapse; mso-table-lspace: 0pt; mso-table-rspace: 0pt; }
+  img { border: 0; outline: none; text-decoration: none; -ms-interpolation-mode: bicubic; }
+  @media only screen and (max-width: 620px) {
+    .email-container { width: 100% !important; }
+  }
+</style>
+${darkModeCSS(theme)}
+</head>
+<body class="ng-bg" style="margin:0; padding:0; background:#f4f4f4;">
+  <div style="display:none; max-height:0; overflow:hidden; mso-hide:all;">${esc(items[0]?.summary.slice(0, 140) || "")}</div>
+  <table role="presentation" class="ng-bg" width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#f4f4f4;">
+    <tr>
+      <td align="center" style="padding: 20px 10px;">
+        <table role="presentation" class="email-container ng-bg" width="600" cellpadding="0" cellspacing="0" border="0"
+               style="width:600px; max-width:600px; background:#ffffff; border-top: 4px solid ${theme.brand_color};">
+          <tr>
+            <td style="padding: 24px 20px 4px; text-align:center; font-family: ${font}; font-size:22px; font-weight:bold;">
+              <a href="${escAttr(site.link || "https://www.nedgame.nl/")}" class="ng-title" style="color:${theme.brand_color}; text-decoration:none;">${esc(site.title || "Nedgame")}</a>
+            </td>
+          </tr>
+          <tr>
+            <td class="ng-card" style="padding: 0 20px 16px; text-align:center; font-family: ${font}; font-size:16px; color:${theme.text_color};">
+              ${esc(feedTitle)}
+            </td>
+          </tr>${rows}
+          <tr>
+            <td class="ng-muted" style="padding: 20px; border-top: 1px solid #e5e5e5; text-align:center; font-family: ${font}; font-size:12px; line-height:1.5; color:#888888;">
+              ${esc(email.footer ?? site.title ?? "Nedgame")}<br />
+              <a href="${escAttr(email.unsubscribe_url)}" class="ng-muted" style="color:#888888; text-decoration:underline;">${esc(labels.unsubscribe)}</a>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Items van één variant (kolommen of hero), zonder pubDate. Gedeeld door de
+ * statische build en de server (npm run serve).
+ */
+function variantItems({ site, theme, feed, products, perRow }) {
+  // UTM alleen in de RSS; de JSON API houdt de kale links
+  const utm = { ...site.utm, ...feed.utm };
+  const variant = perRow === "hero" ? "hero" : `r${perRow}`;
+  products = products.map(p => ({
+    ...p,
+    link: tagLink(p.link, utm, { slug: feed.slug, variant, perRow, id: p.id })
+  }));
+
+  const heroColumns = feed.hero_columns || 3;
+  const chunks = perRow === "hero"
+    ? heroChunks(products, heroColumns)
+    : chunk(products, Math.max(1, perRow));
+  const name = `${feed.slug}${variantSuffix(feed, perRow)}`;
+  // Taal per feed: prijzen, datums en labels (en <language>) volgen feed.language
+  const locale = feedLocale(site, feed);
+  const labels = feedLabels(site, feed);
+  const opts = { showReleaseDate: !!feed.show_release_date, theme: feedTheme(site, theme, feed), heroColumns, locale, labels };
+  const items = buildItems({
     site,
     feedTitle: feed.title,
+    feedId: name,
     itemsChunks: chunks,
-    perRow
+    perRow,
+    opts
+  });
+  return { name, items, locale, labels, theme: opts.theme };
+}
+
+async function buildOneVariant({ site, theme, feed, products, perRow, stale, now, itemState, email }) {
+  const { name, items, locale, labels, theme: itemTheme } = variantItems({ site, theme, feed, products, perRow });
+  stampItems(items, itemState[name] ??= {}, now);
+
+  // Zelfde items in drie formaten: /rss/*.xml (RSS 2.0), /atom/*.xml, /feed/*.json (JSON Feed)
+  const args = { site: { ...site, language: locale }, feedTitle: feed.title, feedId: name, items, stale, now, labels };
+  await fs.writeFile(path.join(OUT_DIR, "rss", `${name}.xml`), toRss(args), "utf8");
+  await fs.writeFile(path.join(OUT_DIR, "atom", `${name}.xml`), toAtom(args), "utf8");
+  await fs.writeFile(path.join(OUT_DIR, "feed", `${name}.json`), toJsonFeed(args), "utf8");
+  // En als complete e-mail voor andere verzendtools
+  await fs.writeFile(
+    path.join(OUT_DIR, "email", `${emailName(feed, perRow)}.html`),
+    emailHTML({ site, feedTitle: feed.title, items, theme: itemTheme, locale, labels, email }),
+    "utf8"
+  );
+  return `${name}.xml`;
+}
+
+/** "35 minuten", "5 uur", "2 dagen" (of "5 heures" voor fr) */
+function fmtAge(ms, locale = "nl-NL") {
+  const unit = (value, unit) => new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "long" }).format(value);
+  const min = Math.round(ms / 60000);
+  if (min < 60) return unit(min, "minute");
+  const hours = Math.round(min / 60);
+  if (hours < 48) return unit(hours, "hour");
+  return unit(Math.round(hours / 24), "day");
+}
+
+function snapshotPaths(url, dir = SNAPSHOT_DIR) {
+  const key = sha1(url).slice(0, 12);
+  return {
+    xml: path.join(dir, `${key}.xml`),
+    meta: path.join(dir, `${key}.json`)
+  };
+}
+
+/** Bron-resultaat; de XML wordt pas geparsed als iemand `products` opvraagt */
+function sourceResult(xml, now, { products, ...fields }) {
+  return { ...fields, get products() { return products ??= parseProducts(xml, { now }); } };
+}
+
+/** Snapshot-meta, alleen als de bijbehorende XML er ook nog is */
+async function readSnapshot(snap) {
+  try {
+    const meta = JSON.parse(await fs.readFile(snap.meta, "utf8"));
+    await fs.access(snap.xml);
+    return meta;
+  } catch {
+    return null;
+  }
+}
+
+// Ophalen van bronnen; overschrijfbaar via "fetch" in feeds.config.json
+const DEFAULT_FETCH = {
+  concurrency: 4,     // bronnen tegelijk
+  timeout_ms: 15000,  // per poging, inclusief body
+  retries: 2,         // extra pogingen bij netwerkfout/timeout of 5xx
+  backoff_ms: 1000    // wachttijd vóór de eerste retry, daarna steeds x2
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Voert async taken uit met maximaal `max` tegelijk */
+function limiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
   });
+}
+
+/**
+ * GET met timeout per poging en retries met exponentiële backoff bij
+ * netwerkfouten, timeouts en 5xx. Geeft de laatste response + body terug
+ * (ook een 5xx na de laatste poging) en per poging status of fout en duur.
+ */
+async function fetchWithRetry(url, headers, options) {
+  const attempts = [];
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout_ms);
+    const started = Date.now();
+    let res, body, error;
+    try {
+      res = await fetch(url, { headers, signal: controller.signal });
+      body = await res.text();
+    } catch (e) {
+      error = e.name === "AbortError" ? new Error(`Timeout after ${options.timeout_ms} ms`) : e;
+    } finally {
+      clearTimeout(timer);
+    }
+    attempts.push({ status: error ? null : res.status, error: error?.message, ms: Date.now() - started });
+
+    const retryable = error || res.status >= 500;
+    if (!retryable || attempt > options.retries) {
+      console.log(`Fetched ${url}: ${attempts.map(a => a.status ?? "error").join(" -> ")} (${fmtAttempts(attempts)})`);
+      if (error) throw Object.assign(error, { attempts });
+      return { res, body, attempts };
+    }
+    const wait = options.backoff_ms * 2 ** (attempt - 1);
+    console.warn(`Fetch ${url}: attempt ${attempt} failed (${error ? error.message : `HTTP ${res.status}`}, ${attempts.at(-1).ms} ms), retrying in ${wait} ms`);
+    await sleep(wait);
+  }
+}
+
+/** "2 attempts, 1840 ms" voor de build-log */
+function fmtAttempts(attempts) {
+  const ms = attempts.reduce((sum, a) => sum + a.ms, 0);
+  return `${attempts.length} attempt${attempts.length === 1 ? "" : "s"}, ${ms} ms`;
+}
+
+/**
+ * Haal een bron op en bewaar de XML als last-known-good snapshot.
+ * Conditioneel: met de ETag/Last-Modified van de snapshot; bij 304 of een
+ * ongewijzigde body (zelfde hash) wordt er niet opnieuw geparsed.
+ * Faalt de bron (netwerkfout, non-200 of 0 producten), dan valt hij terug
+ * op de vorige snapshot en is `stale` gevuld. Zonder snapshot: gewoon de fout.
+ * `snapshotDir` is standaard .cache/snapshots.
+ */
+async function fetchSource(url, now, options = DEFAULT_FETCH, { snapshotDir = SNAPSHOT_DIR } = {}) {
+  const snap = snapshotPaths(url, snapshotDir);
+  const meta = await readSnapshot(snap);
+  let attempts = [];
+  try {
+    const headers = { "User-Agent": "nedgame-ac-proxy/1.3" };
+    if (meta?.etag) headers["If-None-Match"] = meta.etag;
+    if (meta?.lastModified) headers["If-Modified-Since"] = meta.lastModified;
+    const { res, body, ...result } = await fetchWithRetry(url, headers, options);
+    attempts = result.attempts;
+
+    const notModified = res.status === 304 && !!meta;
+    if (!res.ok && !notModified) throw new Error(`Fetch failed ${res.status}`);
+    const xml = notModified ? await fs.readFile(snap.xml, "utf8") : body;
+    const hash = sha1(xml);
+
+    let products;
+    if (hash !== meta?.hash) {
+      products = parseProducts(xml, { now });
+      if (!products.length) throw new Error("Source returned 0 products");
+      await fs.mkdir(snapshotDir, { recursive: true });
+      await fs.writeFile(snap.xml, xml, "utf8");
+    }
+
+    const fetchedAt = now.toISOString();
+    await fs.writeFile(snap.meta, JSON.stringify({
+      source: url,
+      fetchedAt,
+      count: products?.length ?? meta.count,
+      hash,
+      etag: res.headers.get("etag") ?? (notModified ? meta.etag : null),
+      lastModified: res.headers.get("last-modified") ?? (notModified ? meta.lastModified : null)
+    }, null, 2), "utf8");
+    return sourceResult(xml, now, { products, fetchedAt, stale: null, hash, attempts });
+  } catch (e) {
+    if (!meta) throw Object.assign(e, { attempts: e.attempts ?? attempts });
+    const xml = await fs.readFile(snap.xml, "utf8");
+    const ageMs = now.getTime() - new Date(meta.fetchedAt).getTime();
+    console.warn(`Source ${url} failed (${e.message}), using last-known-good snapshot from ${meta.fetchedAt}`);
+    return sourceResult(xml, now, {
+      fetchedAt: meta.fetchedAt,
+      stale: { reason: e.message, fetchedAt: meta.fetchedAt, ageMs },
+      hash: sha1(xml),
+      attempts: e.attempts ?? attempts
+    });
+  }
+}
+
+async function readState(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+async function writeState(file, state) {
+  await fs.mkdir(STATE_DIR, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(state, null, 2), "utf8");
+}
+
+/**
+ * Items die al ITEM_RETENTION_MS niet meer gezien zijn vallen uit de state.
+ * Alleen voor varianten die deze run gebouwd zijn: bij een overgeslagen
+ * feed is lastSeen niet bijgewerkt.
+ */
+function pruneItemState(state, built, now) {
+  for (const name of built) {
+    for (const [guid, entry] of Object.entries(state[name] || {})) {
+      if (now.getTime() - new Date(entry.lastSeen).getTime() > ITEM_RETENTION_MS) delete state[name][guid];
+    }
+  }
+}
+
+/** Hash van de build-code: een nieuwe versie bouwt alle feeds opnieuw */
+async function codeVersion() {
+  // alle modules in src/, ook images.mjs (placeholder, check, mirror)
+  const files = (await fs.readdir(__dirname)).filter(f => f.endsWith(".mjs")).sort().map(f => path.join(__dirname, f));
+  return sha1((await Promise.all(files.map(f => fs.readFile(f, "utf8")))).join("\n"));
+}
+
+/**
+ * Sleutel van een feed-build: bron, config, code, dag (releasedatum-check) en
+ * image-checks (een afbeelding die weer werkt of kapot gaat = nieuwe output).
+ * Zelfde sleutel als de vorige build = output laten staan. Stale builds geven
+ * false: nooit overslaan, en ook niet de build erna (badge moet weer weg).
+ */
+function buildKey({ source, feed, config, now, code, imageChecks = {} }) {
+  if (source.stale) return false;
+  return sha1(JSON.stringify({
+    source: source.hash, feed, site: config.site, theme: config.theme, images: config.images, email: config.email, day: isoDay(now), code,
+    imageChecks
+  }));
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+/** Bron uit de laatste snapshot, zonder te fetchen (npm run dev); zonder snapshot toch live */
+async function readCachedSource(url, now, fetchLive) {
+  const snap = snapshotPaths(url);
+  const meta = await readSnapshot(snap);
+  if (!meta) return fetchLive();
+  const xml = await fs.readFile(snap.xml, "utf8");
+  return sourceResult(xml, now, { fetchedAt: meta.fetchedAt, stale: null, hash: sha1(xml) });
+}
 
-  // bestandsnaam: default_per_row zonder suffix, varianten met -rX
-  const suffix = perRow === (feed.default_per_row || 3) ? "" : `-r${perRow}`;
-  const fileName = `${feed.slug}${suffix}.xml`;
+/** Offline bron (fixture of source_file): geen snapshot, geen fallback */
+async function readSourceFile(file, now) {
+  const xml = await fs.readFile(file, "utf8");
+  return sourceResult(xml, now, { fetchedAt: now.toISOString(), stale: null, hash: sha1(xml) });
+}
+
+/** Varianten van een feed; default_per_row komt er altijd in */
+function feedVariants(feed) {
+  const defaultPerRow = feed.default_per_row || 3;
+  const variants = Array.isArray(feed.row_variants) && feed.row_variants.length
+    ? Array.from(new Set(feed.row_variants.map(n => n === "hero" ? n : Math.max(1, parseInt(n, 10)))))
+    : [defaultPerRow];
+
+  if (!variants.includes(defaultPerRow)) variants.unshift(defaultPerRow);
+  return variants;
+}
 
-  await fs.writeFile(path.join(OUT_DIR, "rss", fileName), rssXml, "utf8");
-  return fileName;
+/** /api/{slug}.json: de volledige productlijst van een feed */
+function apiJSON({ feed, source, products, now }) {
+  const { stale } = source;
+  return JSON.stringify({
+    title: feed.title,
+    source: feed.source ?? feed.source_file,
+    generatedAt: now.toISOString(),
+    fetchedAt: source.fetchedAt,
+    stale: !!stale,
+    ...(stale && { staleReason: stale.reason, staleAgeMinutes: Math.round(stale.ageMs / 60000) }),
+    count: products.length,
+    products
+  }, null, 2);
+}
+
+/**
+ * Eén feed in status.json: laatste geslaagde fetch (bij stale de snapshot),
+ * HTTP-status van de laatste poging, aantal producten, geschreven varianten.
+ * `ok` is false bij een fout, verouderde bron of 0 producten.
+ */
+function feedStatus(feed, { result, source, files = [], count = null, started, error = null }) {
+  const attempts = source?.attempts ?? error?.attempts ?? [];
+  const stale = source?.stale;
+  return {
+    slug: feed.slug,
+    title: feed.title,
+    result,
+    ok: !error && !stale && count > 0,
+    lastFetchAt: source?.fetchedAt ?? null,
+    httpStatus: attempts.at(-1)?.status ?? null,
+    fetchAttempts: attempts.length,
+    stale: !!stale,
+    ...(stale && { staleReason: stale.reason }),
+    count,
+    variants: files.map(f => f.file),
+    ...(started != null && { durationMs: Date.now() - started }),
+    error: error?.message ?? null
+  };
+}
+
+/**
+ * Vaste build-tijd voor reproduceerbare output: --now, dan SOURCE_DATE_EPOCH,
+ * dan (offline) het moment waarop de fixtures bewaard zijn, anders nu.
+ */
+async function buildTime(args, fixturesDir) {
+  if (args.now) return new Date(args.now);
+  if (process.env.SOURCE_DATE_EPOCH) return new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000);
+  if (fixturesDir) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(fixturesDir, "fixtures.json"), "utf8"));
+      return new Date(manifest.savedAt);
+    } catch {
+      // geen manifest: dan gewoon nu
+    }
+  }
+  return new Date();
 }
 
 async function main() {
-  const raw = await fs.readFile(CONFIG_PATH, "utf8");
-  const config = JSON.parse(raw);
+  const buildStarted = Date.now();
+  const { values: args } = parseArgs({
+    options: {
+      offline: { type: "boolean" },      // bronnen uit ./fixtures
+      cached: { type: "boolean" },       // bronnen uit .cache/snapshots (npm run dev)
+      fixtures: { type: "string" },      // bronnen uit een andere map
+      now: { type: "string" }            // vaste build-tijd (ISO)
+    }
+  });
+  const fixturesDir = args.fixtures ? path.resolve(args.fixtures) : args.offline ? FIXTURES_DIR : null;
+  const now = await buildTime(args, fixturesDir);
+  if (isNaN(now)) throw new Error(`Invalid build time: ${args.now ?? process.env.SOURCE_DATE_EPOCH}`);
+  // Vaste build-tijd: gemeten duur alleen in de log, zodat de output te diffen is
+  const pinned = !!(args.now || process.env.SOURCE_DATE_EPOCH || fixturesDir);
+
+  // Eerst de config valideren, vóór er iets opgehaald wordt
+  const config = await loadConfig();
 
   await fs.mkdir(path.join(OUT_DIR, "rss"), { recursive: true });
   await fs.mkdir(path.join(OUT_DIR, "api"), { recursive: true });
+  await fs.mkdir(path.join(OUT_DIR, "atom"), { recursive: true });
+  await fs.mkdir(path.join(OUT_DIR, "feed"), { recursive: true });
+  await fs.mkdir(path.join(OUT_DIR, "email"), { recursive: true });
 
   const indexLinks = [];
+  // Offline en dev-builds: geen eerdere state, niets overslaan of terugschrijven
+  const offline = !!fixturesDir || !!args.cached;
+  const itemState = offline ? {} : await readState(ITEMS_STATE);
+  // Per feed de sleutel van de laatste build; zelfde sleutel + output aanwezig = overslaan
+  const buildState = offline ? {} : await readState(BUILDS_STATE);
+  const code = offline ? null : await codeVersion();
+  const imageOptions = { ...DEFAULT_IMAGES, ...config.images };
+  const emailOptions = { ...DEFAULT_EMAIL, ...config.email };
+  const imageState = offline ? {} : await readState(IMAGES_STATE);
+  const built = new Set();
+  const updated = [];
+  const unchanged = [];
+  const failed = [];
+  const status = [];
+
+  // Afgeleide feeds delen hun bron: elke source maar één keer ophalen en parsen
+  // en alle bronnen vooraf parallel starten (max fetchOptions.concurrency tegelijk)
+  const fetchOptions = { ...DEFAULT_FETCH, ...config.fetch };
+  const queue = limiter(fetchOptions.concurrency);
+  const sources = new Map();
+  const loadSource = (feed) => {
+    const file = localSourceFile(feed, fixturesDir);
+    const key = file || feed.source;
+    if (!sources.has(key)) {
+      const fetchLive = () => queue(() => fetchSource(feed.source, now, fetchOptions));
+      const loading = file ? readSourceFile(file, now) : args.cached ? readCachedSource(feed.source, now, fetchLive) : fetchLive();
+      loading.catch(() => {}); // fout komt bij de await in de feed-loop
+      sources.set(key, loading);
+    }
+    return sources.get(key);
+  };
+  config.feeds.forEach(loadSource);
 
   for (const feed of config.feeds) {
+    const started = pinned ? null : Date.now();
+    let source;
     try {
-      const res = await fetch(feed.source, { headers: { "User-Agent": "nedgame-ac-proxy/1.3" } });
-      if (!res.ok) throw new Error(`Fetch failed ${res.status}`);
-      const xml = await res.text();
-      const products = parseProducts(xml);
+      source = await loadSource(feed);
+      const { stale } = source;
+      const fetchInfo = source.attempts ? ` [fetch: ${fmtAttempts(source.attempts)}]` : "";
 
-      // JSON (volledige lijst)
-      const jsonOut = {
-        title: feed.title,
-        source: feed.source,
-        generatedAt: new Date().toISOString(),
-        count: products.length,
-        products
-      };
-      await fs.writeFile(path.join(OUT_DIR, "api", `${feed.slug}.json`), JSON.stringify(jsonOut, null, 2), "utf8");
+      const variants = feedVariants(feed);
+      const names = variants.map(perRow => `${feed.slug}${variantSuffix(feed, perRow)}`);
 
-      // Variants
-      const defaultPerRow = feed.default_per_row || 3;
-      const variants = Array.isArray(feed.row_variants) && feed.row_variants.length
-        ? Array.from(new Set(feed.row_variants.map(n => Math.max(1, parseInt(n, 10)))))
-        : [defaultPerRow];
+      // Afbeeldingen alleen voor de producten die in de feed komen
+      const feedProducts = applyFeedOptions(source.products, feed);
+      const imageChecks = await checkImages(feedProducts, {
+        options: imageOptions, queue, state: imageState, now, timeoutMs: fetchOptions.timeout_ms, offline
+      });
+      const key = !offline && buildKey({ source, feed, config, now, code, imageChecks });
+      const outputs = [
+        path.join(OUT_DIR, "api", `${feed.slug}.json`),
+        ...names.flatMap((name, i) => [
+          path.join(OUT_DIR, "rss", `${name}.xml`),
+          path.join(OUT_DIR, "atom", `${name}.xml`),
+          path.join(OUT_DIR, "feed", `${name}.json`),
+          path.join(OUT_DIR, "email", `${emailName(feed, variants[i])}.html`)
+        ])
+      ];
+      if (key && buildState[feed.slug]?.key === key && (await Promise.all(outputs.map(exists))).every(Boolean)) {
+        const files = variants.map((perRow, i) => ({ perRow, file: `${names[i]}.xml` }));
+        indexLinks.push({ feed, files, stale });
+        unchanged.push(feed.slug);
+        const { count } = JSON.parse(await fs.readFile(outputs[0], "utf8"));
+        status.push(feedStatus(feed, { result: "unchanged", source, files, count, started }));
+        console.log(`Unchanged ${feed.slug}: bron en config gelijk aan build van ${buildState[feed.slug].builtAt}${fetchInfo}`);
+        continue;
+      }
 
-      if (!variants.includes(defaultPerRow)) variants.unshift(defaultPerRow);
+      // De API houdt de brondata; placeholder en thumbs alleen in de RSS/e-mail
+      const products = await processImages(feedProducts, {
+        options: imageOptions,
+        checks: imageChecks,
+        sizes: imageSizes(feedTheme(config.site || {}, config.theme, feed), variants, feed.hero_columns || 3),
+        queue,
+        outDir: OUT_DIR,
+        timeoutMs: fetchOptions.timeout_ms,
+        offline
+      });
 
+      // JSON (volledige lijst)
+      await fs.writeFile(path.join(OUT_DIR, "api", `${feed.slug}.json`), apiJSON({ feed, source, products: feedProducts, now }), "utf8");
+
+      // Variants
       const files = [];
       for (const perRow of variants) {
-        const file = await buildOneVariant({ site: config.site || {}, feed, products, perRow });
+        const file = await buildOneVariant({ site: config.site || {}, theme: config.theme, feed, products, perRow, stale, now, itemState, email: emailOptions });
         files.push({ perRow, file });
       }
 
-      indexLinks.push({ feed, files });
-      console.log(`Generated ${feed.slug}: ${products.length} producten, varianten: ${files.map(f => f.perRow).join(", ")}`);
+      names.forEach(name => built.add(name));
+      if (key) buildState[feed.slug] = { key, builtAt: now.toISOString() };
+      else delete buildState[feed.slug];
+      updated.push(feed.slug);
+
+      indexLinks.push({ feed, files, stale });
+      status.push(feedStatus(feed, { result: "updated", source, files, count: products.length, started }));
+      if (!products.length) console.warn(`Empty ${feed.slug}: 0 producten na drop_released/filter`);
+      console.log(`Generated ${feed.slug}: ${products.length} producten, varianten: ${files.map(f => f.perRow).join(", ")}${stale ? ` (STALE, data van ${stale.fetchedAt})` : ""}${fetchInfo}`);
     } catch (e) {
       console.error(`Error on ${feed.slug}:`, e.message);
+      failed.push(feed.slug);
+      status.push(feedStatus(feed, { result: "failed", source, started, error: e }));
     }
   }
 
-  // Index with preview data
-  const previewData = {};
-  for (const feed of config.feeds) {
-    try {
-      const jsonPath = path.join(OUT_DIR, "api", `${feed.slug}.json`);
-      const jsonContent = await fs.readFile(jsonPath, "utf8");
-      const data = JSON.parse(jsonContent);
-      previewData[feed.slug] = data.products.slice(0, 12); // Max 12 voor preview
-    } catch (e) {
-      previewData[feed.slug] = [];
-    }
+  if (!offline) {
+    pruneItemState(itemState, built, now);
+    await writeState(ITEMS_STATE, itemState);
+    await writeState(BUILDS_STATE, buildState);
+    pruneImageState(imageState, now);
+    await writeState(IMAGES_STATE, imageState);
+    const removed = await pruneMirroredImages(OUT_DIR);
+    if (removed.length) console.log(`Removed ${removed.length} unused mirrored image(s) from img/`);
   }
+  console.log(`Summary: ${updated.length} updated${updated.length ? ` (${updated.join(", ")})` : ""}, ${unchanged.length} unchanged${unchanged.length ? ` (${unchanged.join(", ")})` : ""}${failed.length ? `, ${failed.length} failed (${failed.join(", ")})` : ""} in ${Date.now() - buildStarted} ms`);
+
+  const report = {
+    generatedAt: now.toISOString(),
+    ...(!pinned && { durationMs: Date.now() - buildStarted }),
+    ok: status.every(f => f.ok),
+    feeds: status
+  };
+  await fs.writeFile(path.join(OUT_DIR, "status.json"), JSON.stringify(report, null, 2), "utf8");
+
+  // Aantallen voor het dashboard; de producten zelf laadt de productbrowser uit /api
+  const productCounts = Object.fromEntries(status.map(f => [f.slug, f.count]));
+  await fs.writeFile(path.join(OUT_DIR, "index.html"), dashboardHTML({ config, indexLinks, productCounts, report }), "utf8");
+}
+
+/** Build-status bovenaan het dashboard; zelfde gegevens als status.json */
+function statusSectionHTML(report, escHtml) {
+  const now = new Date(report.generatedAt);
+  const pill = (f) => f.result === "failed" ? ["error", "❌ Mislukt"]
+    : f.count === 0 ? ["error", "⚠️ Leeg"]
+    : f.stale ? ["warn", "⚠️ Verouderd"]
+    : ["ok", f.result === "unchanged" ? "✓ Ongewijzigd" : "✓ Bijgewerkt"];
+  const problems = report.feeds.filter(f => !f.ok).length;
+
+  return `<div class="status-card" id="status">
+      <h2>${problems ? `⚠️ Build-status: ${problems} ${problems === 1 ? "feed vraagt" : "feeds vragen"} aandacht` : "✅ Build-status: alle feeds OK"}</h2>
+      <p class="status-meta">Build van ${escHtml(now.toLocaleString("nl-NL", { timeZone: "Europe/Amsterdam" }))}${report.durationMs != null ? ` in ${report.durationMs} ms` : ""} · <a href="./status.json">status.json</a></p>
+      <table class="status-table">
+        <thead>
+          <tr><th>Feed</th><th>Status</th><th>Laatst opgehaald</th><th>HTTP</th><th class="num">Producten</th><th>Varianten</th><th class="num">Duur</th><th>Melding</th></tr>
+        </thead>
+        <tbody>
+          ${report.feeds.map(f => {
+            const [kind, text] = pill(f);
+            const fetched = f.lastFetchAt
+              ? `<span title="${escHtml(f.lastFetchAt)}">${fmtAge(now - new Date(f.lastFetchAt))} geleden</span>`
+              : "nooit";
+            const message = f.error || (f.stale ? `Bron faalt: ${f.staleReason}` : f.count === 0 ? "0 producten na filter" : "");
+            return `<tr>
+            <td><strong>${escHtml(f.title)}</strong><br><code>${escHtml(f.slug)}</code></td>
+            <td><span class="status-pill ${kind}">${text}</span></td>
+            <td>${fetched}</td>
+            <td>${f.httpStatus ?? "–"}${f.fetchAttempts > 1 ? ` (${f.fetchAttempts} pogingen)` : ""}</td>
+            <td class="num">${f.count ?? "–"}</td>
+            <td>${f.variants.length ? f.variants.map(v => `<code>${escHtml(v)}</code>`).join(" ") : "–"}</td>
+            <td class="num">${f.durationMs != null ? `${f.durationMs} ms` : "–"}</td>
+            <td class="status-error">${escHtml(message)}</td>
+          </tr>`;
+          }).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// Tooltip en icoon per variant-status als variant_status geen reason geeft
+const VARIANT_STATUS_TITLES = {
+  enabled: "",
+  recommended: "Aanbevolen variant",
+  deprecated: "Verouderd: liever niet meer gebruiken in nieuwe campagnes",
+  disabled: "Uitgeschakeld"
+};
+const VARIANT_STATUS_ICONS = { enabled: "", recommended: "✓ ", deprecated: "⚠️ ", disabled: "" };
+
+/** Dashboard (index.html); `productCounts` = per slug het aantal producten in de feed */
+function dashboardHTML({ config, indexLinks, productCounts, report = null }) {
+  // HTML escaping functie voor product titels en foutmeldingen
+  const escHtml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
 
-  const indexHtml = `<!doctype html>
+  return `<!doctype html>
 <html lang="nl">
 <head>
 <meta charset="utf-8">
@@ -511,12 +1481,25 @@ async function main() {
     cursor: not-allowed;
     background: transparent;
     box-shadow: none;
-    pointer-events: none;
   }
 
   .col-btn.disabled:hover {
     color: #94a3b8;
   }
+
+  .col-btn.recommended {
+    color: #15803d;
+  }
+
+  .col-btn.deprecated {
+    color: #b45309;
+    text-decoration: line-through;
+  }
+
+  .col-btn.recommended.active,
+  .col-btn.deprecated.active {
+    background: white;
+  }
   
   .mobile-toggle {
     display: flex;
@@ -543,63 +1526,202 @@ async function main() {
   
   .url-input {
     flex: 1;
-    min-width: 300px;
+    min-width: 300px;
+    padding: 0.75rem 1rem;
+    border: 2px solid #e2e8f0;
+    border-radius: 0.5rem;
+    font-family: 'Monaco', 'Courier New', monospace;
+    font-size: 0.875rem;
+    color: #475569;
+    background: #f8fafc;
+    transition: all 0.2s;
+  }
+  
+  .url-input:focus {
+    outline: none;
+    border-color: #6366f1;
+    background: white;
+  }
+  
+  .format-select {
+    padding: 0.75rem 1rem;
+    border: 2px solid #e2e8f0;
+    border-radius: 0.5rem;
+    background: white;
+    color: #475569;
+    font-size: 0.875rem;
+    font-weight: 500;
+    cursor: pointer;
+  }
+  
+  .format-select:focus {
+    outline: none;
+    border-color: #6366f1;
+  }
+  
+  .copy-btn {
+    padding: 0.75rem 1.25rem;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border: none;
+    border-radius: 0.5rem;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.3s;
+    position: relative;
+    overflow: hidden;
+  }
+  
+  .copy-btn:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 10px 20px -5px rgba(102, 126, 234, 0.4);
+  }
+  
+  .copy-btn.copied {
+    background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+  }
+  
+  .json-btn {
+    padding: 0.75rem 1.25rem;
+    background: #0ea5e9;
+    color: white;
+    border: none;
+    border-radius: 0.5rem;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.3s;
+    text-decoration: none;
+    display: inline-block;
+  }
+  
+  .json-btn:hover {
+    background: #0284c7;
+    transform: translateY(-2px);
+  }
+  
+  .feed-tabs {
+    display: flex;
+    gap: 0.25rem;
+    margin-bottom: 0.75rem;
+  }
+
+  .tab-btn {
+    padding: 0.5rem 1rem;
+    border: none;
+    background: #f1f5f9;
+    color: #64748b;
+    border-radius: 0.375rem;
+    cursor: pointer;
+    font-weight: 500;
+    font-size: 0.875rem;
+  }
+
+  .tab-btn.active {
+    background: #6366f1;
+    color: white;
+  }
+
+  .product-browser {
+    border: 2px solid #e2e8f0;
+    border-radius: 0.75rem;
+    padding: 1rem;
+  }
+
+  .product-browser[hidden] {
+    display: none;
+  }
+
+  .browser-controls {
+    display: flex;
+    gap: 0.5rem;
+    margin-bottom: 1rem;
+    flex-wrap: wrap;
+  }
+
+  .browser-search {
+    flex: 1;
+    min-width: 240px;
     padding: 0.75rem 1rem;
     border: 2px solid #e2e8f0;
     border-radius: 0.5rem;
-    font-family: 'Monaco', 'Courier New', monospace;
     font-size: 0.875rem;
     color: #475569;
-    background: #f8fafc;
-    transition: all 0.2s;
   }
-  
-  .url-input:focus {
+
+  .browser-search:focus {
     outline: none;
     border-color: #6366f1;
-    background: white;
   }
-  
-  .copy-btn {
-    padding: 0.75rem 1.25rem;
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    color: white;
-    border: none;
-    border-radius: 0.5rem;
+
+  .product-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.875rem;
+  }
+
+  .product-table th,
+  .product-table td {
+    text-align: left;
+    padding: 0.5rem 0.75rem;
+    border-bottom: 1px solid #e2e8f0;
+    vertical-align: middle;
+  }
+
+  .product-table th {
+    color: #64748b;
     font-weight: 600;
-    cursor: pointer;
-    transition: all 0.3s;
-    position: relative;
-    overflow: hidden;
   }
-  
-  .copy-btn:hover {
-    transform: translateY(-2px);
-    box-shadow: 0 10px 20px -5px rgba(102, 126, 234, 0.4);
+
+  .product-table .num {
+    text-align: right;
+    white-space: nowrap;
+    font-variant-numeric: tabular-nums;
   }
-  
-  .copy-btn.copied {
-    background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+
+  .product-thumb {
+    width: 48px;
+    height: 48px;
+    object-fit: contain;
+    background: #ffffff;
+    border-radius: 4px;
+    display: block;
   }
-  
-  .json-btn {
-    padding: 0.75rem 1.25rem;
-    background: #0ea5e9;
-    color: white;
-    border: none;
+
+  .product-meta {
+    color: #64748b;
+    font-size: 0.75rem;
+  }
+
+  .product-old-price {
+    color: #94a3b8;
+    font-size: 0.75rem;
+  }
+
+  .browser-pager {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 0.5rem;
+    margin-top: 1rem;
+    color: #64748b;
+    font-size: 0.875rem;
+  }
+
+  .browser-pager button {
+    padding: 0.5rem 1rem;
+    border: 2px solid #e2e8f0;
     border-radius: 0.5rem;
-    font-weight: 600;
+    background: white;
+    color: #475569;
     cursor: pointer;
-    transition: all 0.3s;
-    text-decoration: none;
-    display: inline-block;
+    font-weight: 500;
   }
-  
-  .json-btn:hover {
-    background: #0284c7;
-    transform: translateY(-2px);
+
+  .browser-pager button:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
   }
-  
+
   .preview-container {
     border: 2px dashed #e2e8f0;
     border-radius: 0.75rem;
@@ -655,94 +1777,30 @@ async function main() {
     padding: 20px;
   }
   
-  /* Fixed table preview - exact zoals nieuwe XML output */
-  .email-preview-table {
-    width: 100%;
-    border-collapse: collapse;
-    background: white;
-    max-width: 560px;
-    margin: 0 auto;
-    font-family: Arial, sans-serif;
-    table-layout: fixed;
-  }
-  
-  .email-preview-table td {
-    vertical-align: top;
-    border: 0px;
-    text-align: left;
-    box-sizing: border-box;
-  }
-  
-  .email-preview-table.cols-1 td { width: 100%; padding: 5px; }
-  .email-preview-table.cols-2 td { width: 48%; padding: 5px; }
-  .email-preview-table.cols-3 td { width: 32%; padding: 4px; }
-  .email-preview-table.cols-4 td { width: 23%; padding: 3px; }
-  
-  .email-product-link {
-    text-decoration: none;
-    color: #000;
+  /* De preview is de echte HTML uit rss/*.xml in een sandboxed iframe */
+  .preview-frame {
     display: block;
-  }
-  
-  .email-product-link:hover .email-product-title {
-    color: #0066cc;
-    text-decoration: underline;
-  }
-  
-  .email-product-img {
     width: 100%;
-    object-fit: contain;
-    display: inline-block;
-    margin-bottom: 6px;
-  }
-  
-  .email-preview-table.cols-1 .email-product-img { max-width: 180px; height: 180px; }
-  .email-preview-table.cols-2 .email-product-img { max-width: 180px; height: 180px; }
-  .email-preview-table.cols-3 .email-product-img { max-width: 140px; height: 140px; }
-  .email-preview-table.cols-4 .email-product-img { max-width: 110px; height: 110px; }
-  
-  .email-product-title {
-    margin: 0;
-    font-weight: bold;
-    line-height: 1.2;
-    text-align: center;
-    color: #00669b;
-    font-family: Arial, sans-serif;
+    border: 0;
+    background: transparent;
   }
-  
-  .email-preview-table.cols-1 .email-product-title { font-size: 14px; min-height: 40px; }
-  .email-preview-table.cols-2 .email-product-title { font-size: 14px; min-height: 40px; }
-  .email-preview-table.cols-3 .email-product-title { font-size: 12px; min-height: 32px; }
-  .email-preview-table.cols-4 .email-product-title { font-size: 11px; min-height: 30px; }
-  
-  .email-product-price {
-    margin-top: 3px;
-    color: #000000;
-    font-weight: bold;
-    text-align: center;
-    font-family: Arial, sans-serif;
+
+  .preview-frame[hidden] {
+    display: none;
   }
-  
-  .email-preview-table.cols-1 .email-product-price { font-size: 16px; }
-  .email-preview-table.cols-2 .email-product-price { font-size: 16px; }
-  .email-preview-table.cols-3 .email-product-price { font-size: 14px; }
-  .email-preview-table.cols-4 .email-product-price { font-size: 13px; }
-  
-  /* Mobile preview mode */
+
+  /* Mobile preview: een 375px toestel, de cards wrappen zelf */
   .email-container.mobile-preview {
     max-width: 375px;
   }
-  
-  .email-container.mobile-preview .email-preview-table.cols-3 td,
-  .email-container.mobile-preview .email-preview-table.cols-4 td {
-    width: 50%;
-    display: inline-block;
+
+  .email-container.mobile-preview .email-content {
+    padding: 20px 0;
   }
-  
-  .email-container.mobile-preview .email-preview-table.cols-1 td,
-  .email-container.mobile-preview .email-preview-table.cols-2 td {
-    width: 100%;
-    display: block;
+
+  /* Dark mode preview: de iframe krijgt data-ogsc/data-ogsb, zie darkModeCSS() */
+  .email-container.dark-preview {
+    background: var(--theme-dark-bg);
   }
   
   @keyframes fadeInDown {
@@ -786,6 +1844,80 @@ async function main() {
     font-weight: 500;
   }
   
+  .stale-badge {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.375rem;
+    padding: 0.25rem 0.75rem;
+    background: #fef3c7;
+    color: #b45309;
+    border-radius: 9999px;
+    font-size: 0.875rem;
+    font-weight: 600;
+    cursor: help;
+  }
+  
+  .status-card {
+    background: white;
+    border-radius: 1rem;
+    padding: 1.5rem;
+    margin-bottom: 2rem;
+    box-shadow: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);
+    overflow-x: auto;
+  }
+
+  .status-card h2 {
+    font-size: 1.25rem;
+    font-weight: 700;
+    color: #1e293b;
+  }
+
+  .status-meta {
+    color: #64748b;
+    font-size: 0.875rem;
+    margin-bottom: 1rem;
+  }
+
+  .status-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.875rem;
+  }
+
+  .status-table th,
+  .status-table td {
+    text-align: left;
+    padding: 0.5rem 0.75rem;
+    border-bottom: 1px solid #e2e8f0;
+    vertical-align: top;
+  }
+
+  .status-table th {
+    color: #64748b;
+    font-weight: 600;
+  }
+
+  .status-table .num {
+    text-align: right;
+    font-variant-numeric: tabular-nums;
+  }
+
+  .status-pill {
+    display: inline-block;
+    padding: 0.125rem 0.625rem;
+    border-radius: 9999px;
+    font-weight: 600;
+    white-space: nowrap;
+  }
+
+  .status-pill.ok { background: #dcfce7; color: #15803d; }
+  .status-pill.warn { background: #fef3c7; color: #b45309; }
+  .status-pill.error { background: #fee2e2; color: #b91c1c; }
+
+  .status-error {
+    color: #b91c1c;
+  }
+
   .toast {
     position: fixed;
     bottom: 2rem;
@@ -821,26 +1953,17 @@ async function main() {
       <h1>🎮 Nedgame Feed Proxy</h1>
       <p>ActiveCampaign RSS feeds met gefixte 4-kolommen layout</p>
     </div>
+
+    ${report ? statusSectionHTML(report, escHtml) : ''}
     
-    ${indexLinks.map(({ feed, files }) => {
-      const products = previewData[feed.slug] || [];
+    ${indexLinks.map(({ feed, files, stale }) => {
       const defaultCols = feed.default_per_row || 3;
-      const disabledColumns = new Set([1, 2, 3]);
-      const availableColumns = feed.row_variants.filter(cols => !disabledColumns.has(cols));
-      const initialCols = availableColumns.includes(defaultCols)
-        ? defaultCols
-        : (availableColumns[0] ?? defaultCols);
-      const initialFile = initialCols === defaultCols
-        ? `${feed.slug}.xml`
-        : `${feed.slug}-r${initialCols}.xml`;
-      
-      // HTML escaping functie voor product titels
-      const escHtml = (str) => String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+      // Start op de aanbevolen variant, anders de default, anders de eerste die te kiezen is
+      const statuses = variantStatuses(config, feed);
+      const available = feed.row_variants.filter(cols => statuses[cols].status !== 'disabled');
+      const initialCols = available.find(cols => statuses[cols].status === 'recommended')
+        ?? (available.includes(defaultCols) ? defaultCols : available[0]);
+      const initialFile = `${feed.slug}${variantSuffix(feed, initialCols)}.xml`;
       
       return `
       <div class="feed-card">
@@ -852,31 +1975,43 @@ async function main() {
                 <rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/>
                 <rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/>
               </svg>
-              ${products.length} producten
+              ${productCounts[feed.slug] ?? 0} producten
             </span>
+            ${stale ? `
+            <span class="stale-badge" title="${escHtml(`Bron faalt: ${stale.reason}`)}">
+              ⚠️ Verouderd – data van ${fmtAge(stale.ageMs)} geleden
+            </span>` : ''}
             <div class="mobile-toggle">
               <input type="checkbox" id="mobile-${feed.slug}" onchange="toggleMobile('${feed.slug}')">
               <label for="mobile-${feed.slug}">📱 Mobile preview</label>
             </div>
+            <div class="mobile-toggle">
+              <input type="checkbox" id="dark-${feed.slug}" onchange="toggleDark('${feed.slug}')">
+              <label for="dark-${feed.slug}">🌙 Dark mode</label>
+            </div>
             <div class="columns-selector" data-feed="${feed.slug}">
               ${feed.row_variants.map(cols => {
-                const isDisabled = disabledColumns.has(cols);
+                const { status, reason } = statuses[cols];
                 const classes = [
                   'col-btn',
                   cols === initialCols ? 'active' : '',
-                  isDisabled ? 'disabled' : ''
+                  status !== 'enabled' ? status : ''
                 ].filter(Boolean).join(' ');
-                const disabledAttr = isDisabled ? 'disabled aria-disabled="true"' : '';
+                // aria-disabled i.p.v. disabled: anders toont de browser de tooltip niet
+                const disabledAttr = status === 'disabled' ? 'aria-disabled="true"' : '';
+                const title = reason || VARIANT_STATUS_TITLES[status];
                 return `
                 <button class="${classes}"
                         data-cols="${cols}"
                         ${disabledAttr}
-                        onclick="updateColumns('${feed.slug}', ${cols})">
-                  ${cols} ${cols === 1 ? 'kolom' : 'kolommen'}
+                        ${title ? `title="${escHtml(title)}"` : ''}
+                        onclick="updateColumns('${feed.slug}', ${cols === 'hero' ? "'hero'" : cols})">
+                  ${VARIANT_STATUS_ICONS[status]}${cols === 'hero' ? '⭐ Hero' : `${cols} ${cols === 1 ? 'kolom' : 'kolommen'}`}
                 </button>
               `;}).join('')}
             </div>
             <a href="./api/${feed.slug}.json" class="json-btn">JSON</a>
+            <a href="./email/${feed.slug}-${initialCols === 'hero' ? 'hero' : `r${initialCols}`}.html" class="json-btn" id="email-${feed.slug}" target="_blank" title="Complete e-mail van deze variant">E-mail</a>
           </div>
         </div>
         
@@ -886,54 +2021,54 @@ async function main() {
                  id="url-${feed.slug}" 
                  value="\${window.location.origin}/rss/${initialFile}"
                  readonly />
+          <select class="format-select" id="format-${feed.slug}" onchange="updateFormat('${feed.slug}')" title="Feedformaat">
+            <option value="rss" selected>RSS 2.0</option>
+            <option value="atom">Atom</option>
+            <option value="feed">JSON Feed</option>
+          </select>
           <button class="copy-btn" onclick="copyUrl('${feed.slug}')">
             <span class="copy-text">📋 Kopieer URL</span>
           </button>
         </div>
         
-        <div class="preview-container">
+        <div class="feed-tabs" role="tablist">
+          <button class="tab-btn active" role="tab" data-tab="preview" onclick="showTab('${feed.slug}', 'preview')">📧 Preview</button>
+          <button class="tab-btn" role="tab" data-tab="products" onclick="showTab('${feed.slug}', 'products')">🔎 Producten</button>
+        </div>
+
+        <div class="preview-container" id="panel-preview-${feed.slug}">
           <div class="preview-label">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 002 2z"/>
             </svg>
-            ActiveCampaign Email Preview (GEFIXTE 4-kolommen layout)
+            ActiveCampaign Email Preview (HTML uit de RSS-feed)
           </div>
           <div class="email-wrapper">
-            <div class="email-container" id="email-container-${feed.slug}">
+            <div class="email-container" id="email-container-${feed.slug}" style="--theme-dark-bg: ${escAttr(feedTheme(config.site || {}, config.theme, feed).dark_background)}">
               <div class="email-header">🎮 Nedgame Nieuwsbrief</div>
               <div class="email-content">
-                ${products.length > 0 ? `
-                  <table class="email-preview-table cols-${initialCols}" id="preview-${feed.slug}" role="presentation" cellpadding="0" cellspacing="0" border="0">
-                    ${(() => {
-                      const rows = [];
-                      const cols = initialCols;
-                      for (let i = 0; i < Math.min(8, products.length); i += cols) {
-                        const rowProducts = products.slice(i, i + cols);
-                        rows.push(`
-                          <tr>
-                            ${rowProducts.map(p => `
-                              <td>
-                                <a href="${p.link}" class="email-product-link">
-                                  <div style="text-align:center;">
-                                    <img src="${p.image}" alt="${escHtml(p.title)}" class="email-product-img" />
-                                  </div>
-                                  <div class="email-product-title">${escHtml(p.title)}</div>
-                                  <div class="email-product-price">€ ${p.price ? p.price.toFixed(2) : '-.--'}</div>
-                                </a>
-                              </td>
-                            `).join('')}
-                            ${rowProducts.length < cols ? '<td></td>'.repeat(cols - rowProducts.length) : ''}
-                          </tr>
-                        `);
-                      }
-                      return rows.join('');
-                    })()}
-                  </table>
-                ` : '<div class="loading-text">Geen producten gevonden...</div>'}
+                <iframe class="preview-frame" id="preview-${feed.slug}" title="Preview ${escHtml(feed.title)}"
+                        sandbox="allow-same-origin allow-popups allow-popups-to-escape-sandbox" hidden></iframe>
+                <div class="loading-text" id="preview-status-${feed.slug}">Preview laden...</div>
               </div>
             </div>
           </div>
         </div>
+
+        <div class="product-browser" id="panel-products-${feed.slug}" hidden>
+          <div class="browser-controls">
+            <input type="search" class="browser-search" id="search-${feed.slug}"
+                   placeholder="Zoek op titel of ID" oninput="renderBrowser('${feed.slug}', 1)" />
+            <select class="format-select" id="sort-${feed.slug}" onchange="renderBrowser('${feed.slug}', 1)" title="Sortering">
+              <option value="source" selected>Volgorde van de feed</option>
+              <option value="price_asc">Prijs oplopend</option>
+              <option value="price_desc">Prijs aflopend</option>
+            </select>
+          </div>
+          <div id="browser-${feed.slug}">
+            <div class="loading-text">Producten laden...</div>
+          </div>
+        </div>
       </div>
       `;
     }).join('')}
@@ -942,33 +2077,135 @@ async function main() {
   <div class="toast" id="toast">✅ URL gekopieerd!</div>
   
   <script>
-    const DISABLED_COLUMNS = [1, 2, 3];
+    const FEEDS = ${JSON.stringify(config.feeds)};
+    // Prijzen en datums in de productbrowser in de taal van de feed
+    const LOCALES = ${JSON.stringify(Object.fromEntries(config.feeds.map(f => [f.slug, feedLocale(config.site || {}, f)])))};
+    function fmtPrice(v, slug) {
+      return v == null ? '€ -' : new Intl.NumberFormat(LOCALES[slug], { style: 'currency', currency: 'EUR' }).format(v);
+    }
+
+    function escHtml(str) {
+      return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // data-cols is een aantal kolommen of "hero"
+    function parseCols(value) {
+      return value === 'hero' ? 'hero' : parseInt(value);
+    }
+
+    // Zelfde variant in drie formaten: /rss/*.xml, /atom/*.xml, /feed/*.json
+    const FORMATS = {
+      rss: { dir: 'rss/', ext: '.xml' },
+      atom: { dir: 'atom/', ext: '.xml' },
+      feed: { dir: 'feed/', ext: '.json' }
+    };
 
     // Initialize with actual base URL
     document.addEventListener('DOMContentLoaded', function() {
-      const baseUrl = window.location.origin + window.location.pathname.replace(/index\\.html$/, '');
       document.querySelectorAll('.url-input').forEach(input => {
         const feedSlug = input.id.replace('url-', '');
-        const defaultFile = getFileName(feedSlug, getCurrentCols(feedSlug));
-        input.value = baseUrl + 'rss/' + defaultFile;
+        input.value = getFeedUrl(feedSlug, getCurrentCols(feedSlug));
+        loadPreview(feedSlug, getCurrentCols(feedSlug));
       });
     });
 
+    function getFeedUrl(feedSlug, cols) {
+      const baseUrl = window.location.origin + window.location.pathname.replace(/index\\.html$/, '');
+      const format = FORMATS[document.getElementById(\`format-\${feedSlug}\`)?.value] || FORMATS.rss;
+      return baseUrl + format.dir + getFileName(feedSlug, cols).replace(/\\.xml$/, format.ext);
+    }
+
+    function updateFormat(feedSlug) {
+      const urlInput = document.getElementById(\`url-\${feedSlug}\`);
+      urlInput.value = getFeedUrl(feedSlug, getCurrentCols(feedSlug));
+      flashUrl(urlInput);
+    }
+
+    // Highlight effect on URL change
+    function flashUrl(urlInput) {
+      urlInput.style.background = '#fef3c7';
+      urlInput.style.borderColor = '#fbbf24';
+      setTimeout(() => {
+        urlInput.style.background = '#f8fafc';
+        urlInput.style.borderColor = '#e2e8f0';
+      }, 300);
+    }
+
     function getCurrentCols(feedSlug) {
       const activeBtn = document.querySelector(\`.columns-selector[data-feed="\${feedSlug}"] .col-btn.active\`);
-      if (activeBtn) return parseInt(activeBtn.dataset.cols);
+      if (activeBtn) return parseCols(activeBtn.dataset.cols);
       const availableBtn = Array.from(document.querySelectorAll(\`.columns-selector[data-feed="\${feedSlug}"] .col-btn\`))
         .find(btn => !btn.classList.contains('disabled'));
-      return availableBtn ? parseInt(availableBtn.dataset.cols) : 4;
+      return availableBtn ? parseCols(availableBtn.dataset.cols) : 4;
     }
     
     function getFileName(feedSlug, cols) {
-      const config = ${JSON.stringify(config.feeds)};
-      const feed = config.find(f => f.slug === feedSlug);
+      const feed = FEEDS.find(f => f.slug === feedSlug);
       const defaultCols = feed?.default_per_row || 3;
+      if (cols === 'hero') return \`\${feedSlug}-hero.xml\`;
       return cols === defaultCols ? \`\${feedSlug}.xml\` : \`\${feedSlug}-r\${cols}.xml\`;
     }
     
+    // Per feed de item-HTML (<content:encoded>) van de getoonde variant
+    const previewItems = {};
+    const previewRequests = {};
+
+    async function loadPreview(feedSlug, cols) {
+      const file = getFileName(feedSlug, cols);
+      previewRequests[feedSlug] = file;
+      const status = document.getElementById(\`preview-status-\${feedSlug}\`);
+      status.textContent = 'Preview laden...';
+      status.hidden = false;
+      let items;
+      try {
+        const res = await fetch(\`rss/\${file}\`);
+        if (!res.ok) throw new Error(\`HTTP \${res.status}\`);
+        const xml = new DOMParser().parseFromString(await res.text(), 'application/xml');
+        items = Array.from(xml.getElementsByTagNameNS('http://purl.org/rss/1.0/modules/content/', 'encoded'), el => el.textContent);
+      } catch (e) {
+        if (previewRequests[feedSlug] !== file) return;
+        document.getElementById(\`preview-\${feedSlug}\`).hidden = true;
+        status.textContent = \`Preview niet beschikbaar (rss/\${file}: \${e.message})\`;
+        return;
+      }
+      // Intussen een andere variant gekozen: dit antwoord negeren
+      if (previewRequests[feedSlug] !== file) return;
+      previewItems[feedSlug] = items;
+      renderPreview(feedSlug);
+    }
+
+    // De items zoals ActiveCampaign ze achter elkaar in de mail zet; geen scripts in de iframe
+    function renderPreview(feedSlug) {
+      const items = previewItems[feedSlug];
+      if (!items) return;
+      const frame = document.getElementById(\`preview-\${feedSlug}\`);
+      const status = document.getElementById(\`preview-status-\${feedSlug}\`);
+      if (!items.length) {
+        frame.hidden = true;
+        status.textContent = 'Geen producten gevonden...';
+        status.hidden = false;
+        return;
+      }
+      // Dark mode via de Outlook.com-attributen, zodat de overrides uit de feed zelf gelden.
+      // Uit: light forceren en de prefers-color-scheme-regels uitschakelen, anders volgt de preview de OS dark mode
+      const dark = document.getElementById(\`dark-\${feedSlug}\`).checked;
+      const html = dark ? items.join('') : items.join('').replaceAll('(prefers-color-scheme: dark)', 'not all');
+      const head = dark ? '' : '<meta name="color-scheme" content="light"><style>:root { color-scheme: light !important; }</style>';
+      frame.onload = () => resizePreview(frame);
+      frame.srcdoc = \`<!doctype html><html\${dark ? ' data-ogsc data-ogsb' : ''}><head><meta charset="utf-8"><base target="_blank">\${head}<style>body { margin: 0; }</style></head><body class="ng-bg">\${html}</body></html>\`;
+      frame.hidden = false;
+      status.hidden = true;
+    }
+
+    // Hoogte = inhoud; eerst inklappen, anders krimpt de iframe nooit
+    function resizePreview(frame) {
+      const doc = frame.contentDocument;
+      if (!doc) return;
+      frame.style.height = '0';
+      frame.style.height = doc.documentElement.scrollHeight + 'px';
+    }
+    window.addEventListener('resize', () => document.querySelectorAll('.preview-frame:not([hidden])').forEach(resizePreview));
+
     function toggleMobile(feedSlug) {
       const container = document.getElementById(\`email-container-\${feedSlug}\`);
       const checkbox = document.getElementById(\`mobile-\${feedSlug}\`);
@@ -978,74 +2215,132 @@ async function main() {
       } else {
         container.classList.remove('mobile-preview');
       }
+      renderPreview(feedSlug);
+    }
+    
+    function toggleDark(feedSlug) {
+      const container = document.getElementById(\`email-container-\${feedSlug}\`);
+      const checkbox = document.getElementById(\`dark-\${feedSlug}\`);
+      
+      if (checkbox.checked) {
+        container.classList.add('dark-preview');
+      } else {
+        container.classList.remove('dark-preview');
+      }
+      renderPreview(feedSlug);
     }
     
     function updateColumns(feedSlug, cols) {
-      if (DISABLED_COLUMNS.includes(cols)) {
+      // Status komt uit de knoppen zelf (variant_status in feeds.config.json)
+      const selector = document.querySelector(\`.columns-selector[data-feed="\${feedSlug}"]\`);
+      const button = selector.querySelector(\`.col-btn[data-cols="\${cols}"]\`);
+      if (!button || button.classList.contains('disabled')) {
         return;
       }
 
       // Update button states
-      const selector = document.querySelector(\`.columns-selector[data-feed="\${feedSlug}"]\`);
       selector.querySelectorAll('.col-btn').forEach(btn => {
-        const btnCols = parseInt(btn.dataset.cols);
+        const btnCols = parseCols(btn.dataset.cols);
         const shouldBeActive = btnCols === cols && !btn.classList.contains('disabled');
         btn.classList.toggle('active', shouldBeActive);
       });
       
-      // Update preview table
-      const preview = document.getElementById(\`preview-\${feedSlug}\`);
-      if (preview) {
-        preview.className = \`email-preview-table cols-\${cols}\`;
-        
-        // Rebuild table with new column count
-        const products = ${JSON.stringify(previewData)};
-        const feedProducts = products[feedSlug] || [];
-        
-        if (feedProducts.length > 0) {
-          const rows = [];
-          for (let i = 0; i < Math.min(8, feedProducts.length); i += cols) {
-            const rowProducts = feedProducts.slice(i, i + cols);
-            const cells = rowProducts.map(p => {
-              // Escape HTML
-              const escTitle = p.title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-              return \`
-                <td>
-                  <a href="\${p.link}" class="email-product-link">
-                    <div style="text-align:center;">
-                      <img src="\${p.image}" alt="\${escTitle}" class="email-product-img" />
-                    </div>
-                    <div class="email-product-title">\${escTitle}</div>
-                    <div class="email-product-price">€ \${p.price ? p.price.toFixed(2) : '-.--'}</div>
-                  </a>
-                </td>
-              \`;
-            }).join('');
-            
-            const emptyCells = cols - rowProducts.length > 0 ? 
-              '<td></td>'.repeat(cols - rowProducts.length) : '';
-            
-            rows.push(\`<tr>\${cells}\${emptyCells}</tr>\`);
-          }
-          preview.innerHTML = rows.join('');
-        }
-      }
+      loadPreview(feedSlug, cols);
       
       // Update URL
-      const baseUrl = window.location.origin + window.location.pathname.replace(/index\\.html$/, '');
-      const fileName = getFileName(feedSlug, cols);
       const urlInput = document.getElementById(\`url-\${feedSlug}\`);
-      urlInput.value = baseUrl + 'rss/' + fileName;
-      
-      // Highlight effect on URL change
-      urlInput.style.background = '#fef3c7';
-      urlInput.style.borderColor = '#fbbf24';
-      setTimeout(() => {
-        urlInput.style.background = '#f8fafc';
-        urlInput.style.borderColor = '#e2e8f0';
-      }, 300);
+      urlInput.value = getFeedUrl(feedSlug, cols);
+      flashUrl(urlInput);
+      document.getElementById(\`email-\${feedSlug}\`).href = \`email/\${feedSlug}-\${cols === 'hero' ? 'hero' : 'r' + cols}.html\`;
     }
     
+    function showTab(feedSlug, tab) {
+      document.querySelectorAll(\`#panel-preview-\${feedSlug}, #panel-products-\${feedSlug}\`).forEach(panel => {
+        panel.hidden = panel.id !== \`panel-\${tab}-\${feedSlug}\`;
+      });
+      const card = document.getElementById(\`panel-products-\${feedSlug}\`).closest('.feed-card');
+      card.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+      if (tab === 'products') loadBrowser(feedSlug);
+      else document.querySelectorAll(\`#preview-\${feedSlug}:not([hidden])\`).forEach(resizePreview);
+    }
+
+    // Productbrowser: /api/{slug}.json pas ophalen bij het eerste openen van de tab
+    const BROWSER_PAGE_SIZE = 20;
+    const browsers = {};
+
+    async function loadBrowser(feedSlug) {
+      if (browsers[feedSlug]) return;
+      browsers[feedSlug] = { products: null, page: 1 };
+      const list = document.getElementById(\`browser-\${feedSlug}\`);
+      try {
+        const res = await fetch(\`api/\${feedSlug}.json\`);
+        if (!res.ok) throw new Error(\`HTTP \${res.status}\`);
+        browsers[feedSlug].products = (await res.json()).products;
+      } catch (e) {
+        delete browsers[feedSlug];
+        list.innerHTML = \`<div class="loading-text">Producten laden mislukt (api/\${feedSlug}.json: \${escHtml(e.message)})</div>\`;
+        return;
+      }
+      renderBrowser(feedSlug, 1);
+    }
+
+    function browserProducts(feedSlug) {
+      const query = document.getElementById(\`search-\${feedSlug}\`).value.trim().toLowerCase();
+      const sort = document.getElementById(\`sort-\${feedSlug}\`).value;
+      let products = browsers[feedSlug].products.filter(p =>
+        !query || p.title.toLowerCase().includes(query) || String(p.id).toLowerCase().includes(query));
+      if (sort !== 'source') {
+        // zonder prijs altijd achteraan
+        const dir = sort === 'price_asc' ? 1 : -1;
+        products = [...products].sort((a, b) => (a.price == null) - (b.price == null) || dir * (a.price - b.price));
+      }
+      return products;
+    }
+
+    function renderBrowser(feedSlug, page) {
+      const state = browsers[feedSlug];
+      if (!state?.products) return;
+      const list = document.getElementById(\`browser-\${feedSlug}\`);
+      const products = browserProducts(feedSlug);
+      const pages = Math.max(1, Math.ceil(products.length / BROWSER_PAGE_SIZE));
+      state.page = Math.min(Math.max(1, page), pages);
+      if (!products.length) {
+        list.innerHTML = '<div class="loading-text">Geen producten gevonden...</div>';
+        return;
+      }
+
+      const start = (state.page - 1) * BROWSER_PAGE_SIZE;
+      const rows = products.slice(start, start + BROWSER_PAGE_SIZE).map(p => {
+        const thumb = p.image
+          ? \`<img class="product-thumb" src="\${escHtml(p.image)}" alt="" loading="lazy" />\`
+          : '<div class="product-thumb"></div>';
+        const release = p.release_date
+          ? \` · \${p.released ? 'uit sinds' : 'verwacht'} \${new Date(p.release_date).toLocaleDateString(LOCALES[feedSlug], { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })}\`
+          : '';
+        const oldPrice = p.old_price && p.discount
+          ? \`<div class="product-old-price"><s>\${fmtPrice(p.old_price, feedSlug)}</s> -\${p.discount}%</div>\`
+          : '';
+        return \`
+          <tr>
+            <td>\${thumb}</td>
+            <td>\${escHtml(p.title)}<div class="product-meta">ID \${escHtml(p.id)}\${release}</div></td>
+            <td class="num">\${oldPrice}\${fmtPrice(p.price, feedSlug)}</td>
+            <td class="num"><a href="\${escHtml(p.link)}" target="_blank" rel="noopener">Bekijk op Nedgame ↗</a></td>
+          </tr>\`;
+      }).join('');
+
+      list.innerHTML = \`
+        <table class="product-table">
+          <thead><tr><th></th><th>Product</th><th class="num">Prijs</th><th></th></tr></thead>
+          <tbody>\${rows}</tbody>
+        </table>
+        <div class="browser-pager">
+          <button onclick="renderBrowser('\${feedSlug}', \${state.page - 1})" \${state.page === 1 ? 'disabled' : ''}>‹ Vorige</button>
+          <span>Pagina \${state.page} van \${pages} · \${products.length} producten</span>
+          <button onclick="renderBrowser('\${feedSlug}', \${state.page + 1})" \${state.page === pages ? 'disabled' : ''}>Volgende ›</button>
+        </div>\`;
+    }
+
     function copyUrl(feedSlug) {
       const input = document.getElementById(\`url-\${feedSlug}\`);
       const btn = event.currentTarget;
@@ -1072,10 +2367,18 @@ async function main() {
   </script>
 </body>
 </html>`;
-  await fs.writeFile(path.join(OUT_DIR, "index.html"), indexHtml, "utf8");
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+export {
+  parseProducts, DEFAULT_FETCH, DEFAULT_EMAIL, limiter, fetchWithRetry, fetchSource, readSourceFile, buildKey,
+  stampItems, pruneItemState, applyFeedOptions, matchesFilter, SORTS, feedVariants, variantSuffix, variantItems, apiJSON,
+  tagLink, toRss, toAtom, toJsonFeed, emailHTML, emailName, dashboardHTML, sha1
+};
+
+// Alleen bouwen als script (node src/transform.mjs), niet bij import door server.mjs
+if (process.argv[1] && path.resolve(process.argv[1]) === new URL(import.meta.url).pathname) {
+  main().catch(err => {
+    console.error(err instanceof ConfigError ? err.message : err);
+    process.exit(1);
+  });
+}
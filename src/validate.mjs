@@ -0,0 +1,16 @@
+import path from "node:path";
+import { loadConfig, ConfigError, CONFIG_PATH } from "./config.mjs";
+
+/**
+ * Controleer feeds.config.json zonder iets op te halen:
+ *   npm run validate [-- pad/naar/config.json]
+ */
+const file = process.argv[2] ? path.resolve(process.argv[2]) : CONFIG_PATH;
+
+try {
+  const config = await loadConfig(file);
+  console.log(`${path.basename(file)} OK: ${config.feeds.length} feeds (${config.feeds.map(f => f.slug).join(", ")})`);
+} catch (err) {
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+}
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig } from "../src/config.mjs";
+
+const feed = (extra = {}) => ({
+  slug: "pre-orders",
+  title: "Pre-orders",
+  source: "https://www.nedgame.nl/feeds/pre-orders.xml",
+  row_variants: [1, 2, 3, 4, "hero"],
+  ...extra
+});
+
+test("a minimal config is valid", () => {
+  assert.deepEqual(validateConfig({ feeds: [feed()] }), []);
+});
+
+test("collects every error instead of stopping at the first", () => {
+  const errors = validateConfig({
+    fetch: { retries: -1, concurrency: 0 },
+    feeds: [feed({ slug: "Pre Orders", sort: "random", limit: 0 }), { slug: "x" }]
+  });
+  assert.ok(errors.includes("fetch.concurrency: moet een positief geheel getal zijn"), errors.join("; "));
+  assert.ok(errors.includes("fetch.retries: moet een geheel getal >= 0 zijn"), errors.join("; "));
+  for (const part of ["feeds[0] (Pre Orders).slug", "feeds[0] (Pre Orders).sort", "feeds[0] (Pre Orders).limit", "feeds[1] (x).title", "feeds[1] (x).source"]) {
+    assert.ok(errors.some(e => e.includes(part)), `missing error for ${part}: ${errors.join("; ")}`);
+  }
+});
+
+test("rejects a config without feeds and duplicate slugs", () => {
+  assert.deepEqual(validateConfig({}), ["feeds: verplicht, minstens één feed"]);
+  const errors = validateConfig({ feeds: [feed(), feed()] });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /feeds\[1\] \(pre-orders\)\.slug: dubbel, ook gebruikt door feeds\[0\]/);
+});
+
+test("rejects unknown keys at the top level", () => {
+  const errors = validateConfig({ thema: { brand_color: "#000000" }, varient_status: {}, feeds: [feed()] });
+  assert.deepEqual(errors, ["config.thema: onbekende optie", "config.varient_status: onbekende optie"]);
+});
+
+test("rejects unknown keys and invalid filters", () => {
+  const errors = validateConfig({ feeds: [feed({ colums: 3, filter: { min_price: 50, max_price: 10 } })] });
+  assert.ok(errors.some(e => e.endsWith(".colums: onbekende optie")), errors.join("; "));
+  assert.ok(errors.some(e => e.endsWith(".filter: min_price is groter dan max_price")), errors.join("; "));
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { variantItems, toRss, toJsonFeed, emailHTML, DEFAULT_EMAIL } from "../src/transform.mjs";
+
+const site = { title: "Nedgame", link: "https://www.nedgame.nl/" };
+const feed = { slug: "pre-orders", title: "Pre-orders" };
+const products = [1, 2, 3, 4, 5, 6, 7].map(n => ({ id: `P${n}`, title: `Product ${n}`, link: `https://www.nedgame.nl/p${n}`, price: n }));
+const count = (s, re) => (s.match(re) || []).length;
+
+test("every item carries the dark mode CSS, also without the first row", () => {
+  const { items } = variantItems({ site, feed, products, perRow: 3 });
+  assert.equal(items.length, 3);
+  for (const item of items) {
+    assert.equal(count(item.html, /<style/g), 1);
+    assert.match(item.html, /@media \(prefers-color-scheme: dark\)/);
+    assert.equal(item.body.includes("<style"), false);
+  }
+  // Atom/JSON Feed-lezers tonen losse items
+  const json = JSON.parse(toJsonFeed({ site, feedTitle: feed.title, items: items.map(i => ({ ...i, pubDate: new Date(0) })) }));
+  assert.ok(json.items.every(i => i.content_html.includes("prefers-color-scheme")));
+});
+
+test("dark_* colors change the CSS but not the GUIDs", () => {
+  const light = variantItems({ site, feed, products, perRow: 3 }).items;
+  const dark = variantItems({ site, theme: { dark_background: "#000000" }, feed, products, perRow: 3 }).items;
+  assert.deepEqual(dark.map(i => i.guid), light.map(i => i.guid));
+  assert.match(dark[2].html, /\.ng-bg \{ background: #000000 !important; \}/);
+  assert.notEqual(dark[2].html, light[2].html);
+});
+
+test("the RSS has one style block per item, the email one in total", () => {
+  const { name, items, theme, labels } = variantItems({ site, feed, products, perRow: 3 });
+  items.forEach(item => item.pubDate = new Date("2026-10-01T06:00:00Z"));
+  const rss = toRss({ site, feedTitle: feed.title, feedId: name, items, stale: null, now: new Date(), labels });
+  assert.equal(count(rss, /prefers-color-scheme: dark/g), 3);
+
+  const email = emailHTML({ site, feedTitle: feed.title, items, theme, locale: "nl-NL", labels, email: DEFAULT_EMAIL });
+  assert.equal(count(email, /prefers-color-scheme: dark/g), 1);
+  assert.ok(email.indexOf("prefers-color-scheme") < email.indexOf("</head>"));
+});
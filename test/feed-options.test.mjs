@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesFilter, applyFeedOptions, SORTS } from "../src/transform.mjs";
+
+const products = [
+  { id: "A1", title: "Zelda Switch", price: 59.99, release_date: "2026-11-01", released: false },
+  { id: "B2", title: "Mario Kart Switch", price: 49.99, release_date: null, released: null },
+  { id: "C3", title: "FIFA PS5 Bundle", price: NaN, release_date: "2026-09-01", released: true },
+  { id: "D4", title: "Astro Bot PS5", price: 49.99, release_date: "2026-10-15", released: false }
+];
+const ids = (list) => list.map(p => p.id);
+
+test("matchesFilter: price range, title and ids are case-insensitive", () => {
+  const match = (filter) => ids(products.filter(p => matchesFilter(p, filter)));
+  assert.deepEqual(match({}), ["A1", "B2", "C3", "D4"]);
+  assert.deepEqual(match({ min_price: 50 }), ["A1"]);
+  // zonder prijs valt buiten elk prijsbereik
+  assert.deepEqual(match({ max_price: 100 }), ["A1", "B2", "D4"]);
+  assert.deepEqual(match({ title_contains: ["SWITCH", "astro"] }), ["A1", "B2", "D4"]);
+  assert.deepEqual(match({ title_contains: "switch", title_excludes: "kart" }), ["A1"]);
+  assert.deepEqual(match({ ids: ["a1", "c3"], exclude_ids: "C3" }), ["A1"]);
+});
+
+test("SORTS: products without a price or date go last, ties keep source order", () => {
+  const sorted = (key) => ids([...products].sort(SORTS[key]));
+  assert.equal(SORTS.source, null);
+  assert.deepEqual(sorted("price_asc"), ["B2", "D4", "A1", "C3"]);
+  assert.deepEqual(sorted("price_desc"), ["A1", "B2", "D4", "C3"]);
+  assert.deepEqual(sorted("title"), ["D4", "C3", "B2", "A1"]);
+  assert.deepEqual(sorted("release_date"), ["C3", "D4", "A1", "B2"]);
+});
+
+test("applyFeedOptions: drop_released, then filter, sort and limit", () => {
+  const feed = { drop_released: true, filter: { max_price: 55 }, sort: "price_desc", limit: 1 };
+  assert.deepEqual(ids(applyFeedOptions(products, feed)), ["B2"]);
+  assert.deepEqual(ids(applyFeedOptions(products, { ...feed, limit: 0 })), ["B2", "D4"]);
+  // zonder opties: bronvolgorde, geen kopie nodig
+  assert.equal(applyFeedOptions(products, {}), products);
+});
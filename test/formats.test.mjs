@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { XMLParser } from "fast-xml-parser";
+import { variantItems, stampItems, toRss, toAtom, toJsonFeed } from "../src/transform.mjs";
+
+const site = { title: "Nedgame", link: "https://www.nedgame.nl/", language: "nl-NL" };
+const feed = { slug: "pre-orders", title: "Pre-orders & meer" };
+const products = [1, 2, 3, 4].map(n => ({
+  id: `P${n}`, title: `Product ${n} <Deluxe>`, link: `https://www.nedgame.nl/p${n}`,
+  image: n === 1 ? "" : `https://www.nedgame.nl/p${n}.jpg`, price: 10 * n
+}));
+
+function feedArgs(stale = null) {
+  const { name, items, labels } = variantItems({ site, feed, products, perRow: 3 });
+  // tweede rij een dag later voor het eerst gezien
+  const seen = { [items[1].guid]: { firstSeen: "2026-10-02T06:00:00.000Z" } };
+  stampItems(items, seen, new Date("2026-10-01T06:00:00Z"));
+  return { site, feedTitle: feed.title, feedId: name, items, stale, now: new Date("2026-10-03T06:00:00Z"), labels };
+}
+const parse = (xml) => new XMLParser({ ignoreAttributes: false }).parse(xml);
+
+test("Atom and JSON Feed carry the same items as RSS", () => {
+  const args = feedArgs();
+  const rss = parse(toRss(args)).rss.channel;
+  const atom = parse(toAtom(args)).feed;
+  const json = JSON.parse(toJsonFeed(args));
+
+  const guids = args.items.map(i => i.guid);
+  assert.deepEqual(rss.item.map(i => i.guid["#text"]), guids);
+  assert.deepEqual(atom.entry.map(e => e.id), guids.map(g => `https://www.nedgame.nl/#feed/pre-orders/${g}`));
+  assert.deepEqual(json.items.map(i => i.id), guids);
+  assert.deepEqual(json.items.map(i => i.content_html), args.items.map(i => i.html));
+  assert.deepEqual(atom.entry.map(e => e.content["#text"]), args.items.map(i => i.html));
+});
+
+test("Atom: escaped title, html content and updated = newest item", () => {
+  const xml = toAtom(feedArgs());
+  assert.match(xml, /<title>Pre-orders &amp; meer<\/title>/);
+  const atom = parse(xml).feed;
+  assert.equal(atom["@_xml:lang"], "nl-NL");
+  assert.equal(atom.updated, "2026-10-02T06:00:00.000Z");
+  assert.deepEqual(atom.entry.map(e => e.updated), ["2026-10-01T06:00:00.000Z", "2026-10-02T06:00:00.000Z"]);
+  assert.equal(atom.entry[0].content["@_type"], "html");
+});
+
+test("JSON Feed 1.1: version, dates and image only when there is one", () => {
+  const json = JSON.parse(toJsonFeed(feedArgs()));
+  assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(json.title, "Pre-orders & meer");
+  assert.deepEqual(json.items.map(i => i.date_published), ["2026-10-01T06:00:00.000Z", "2026-10-02T06:00:00.000Z"]);
+  assert.deepEqual(json.items.map(i => i.image), [undefined, "https://www.nedgame.nl/p4.jpg"]);
+});
+
+test("a stale source shows up in the description of every format", () => {
+  const args = feedArgs({ reason: "Fetch failed 502", fetchedAt: "2026-10-02T06:00:00.000Z", ageMs: 26 * 60 * 60 * 1000 });
+  const fresh = feedArgs();
+  const atom = (a) => parse(toAtom(a)).feed.subtitle;
+  const json = (a) => JSON.parse(toJsonFeed(a)).description;
+  const rss = (a) => parse(toRss(a)).rss.channel.description;
+  for (const describe of [atom, json, rss]) {
+    assert.notEqual(describe(args), describe(fresh));
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { variantItems, stampItems, pruneItemState, toRss } from "../src/transform.mjs";
+
+const site = { title: "Nedgame", link: "https://www.nedgame.nl/" };
+const feed = { slug: "pre-orders", title: "Pre-orders", source: "https://www.nedgame.nl/feeds/pre-orders.xml", row_variants: [2, 3] };
+const product = (n) => ({
+  id: `P${n}`, title: `Product ${n}`, link: `https://www.nedgame.nl/p${n}`, image: `https://www.nedgame.nl/p${n}.jpg`,
+  price: 10 + n, old_price: null, discount: null, release_date: null, released: null
+});
+const products = [1, 2, 3, 4, 5, 6].map(product);
+const guids = (items) => items.map(i => i.guid);
+const DAY = 24 * 60 * 60 * 1000;
+
+test("GUIDs follow the content of a row, not its position", () => {
+  const { items } = variantItems({ site, feed, products, perRow: 3 });
+  const shifted = variantItems({ site, feed, products: [product(0), product(0), product(0), ...products], perRow: 3 }).items;
+  assert.equal(items.length, 2);
+  assert.deepEqual(guids(shifted).slice(1), guids(items));
+  // ander product in de rij = nieuwe GUID
+  const changed = variantItems({ site, feed, products: [...products.slice(0, 5), product(7)], perRow: 3 }).items;
+  assert.equal(changed[0].guid, items[0].guid);
+  assert.notEqual(changed[1].guid, items[1].guid);
+});
+
+test("stampItems keeps the first pubDate of a GUID across builds", () => {
+  const first = new Date("2026-10-01T06:00:00Z");
+  const second = new Date("2026-10-02T06:00:00Z");
+  const seen = {};
+  const { items } = variantItems({ site, feed, products, perRow: 3 });
+  stampItems(items, seen, first);
+
+  const next = variantItems({ site, feed, products: [...products.slice(0, 3), product(8), product(9), product(10)], perRow: 3 }).items;
+  stampItems(next, seen, second);
+  assert.deepEqual(next.map(i => i.pubDate.toISOString()), [first.toISOString(), second.toISOString()]);
+  assert.deepEqual(seen[items[0].guid], { firstSeen: first.toISOString(), lastSeen: second.toISOString() });
+  assert.equal(seen[items[1].guid].lastSeen, first.toISOString());
+});
+
+test("pruneItemState drops old GUIDs, but only for variants built this run", () => {
+  const now = new Date("2026-10-01T06:00:00Z");
+  const entry = (days) => ({ firstSeen: "2026-01-01T00:00:00.000Z", lastSeen: new Date(now - days * DAY).toISOString() });
+  const state = {
+    "pre-orders-r3": { recent: entry(29), old: entry(31) },
+    "pre-orders-r2": { old: entry(31) }
+  };
+  pruneItemState(state, new Set(["pre-orders-r3"]), now);
+  assert.deepEqual(Object.keys(state["pre-orders-r3"]), ["recent"]);
+  assert.deepEqual(Object.keys(state["pre-orders-r2"]), ["old"]);
+});
+
+test("lastBuildDate only moves with new content", () => {
+  const seen = {};
+  const build = (products, now) => {
+    const { name, items } = variantItems({ site, feed, products, perRow: 3 });
+    stampItems(items, seen, new Date(now));
+    return toRss({ site, feedTitle: feed.title, feedId: name, items, stale: null, now: new Date(now) }).match(/<lastBuildDate>(.*)<\/lastBuildDate>/)[1];
+  };
+  const first = build(products, "2026-10-01T06:00:00Z");
+  assert.equal(build(products, "2026-10-02T06:00:00Z"), first);
+  assert.notEqual(build([...products, product(7)], "2026-10-03T06:00:00Z"), first);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { checkImages, processImages, pruneImageState, DEFAULT_IMAGES } from "../src/images.mjs";
+import { limiter, buildKey } from "../src/transform.mjs";
+
+// Lokale image-server; per pad een handler
+const routes = {};
+let server;
+let base;
+let outDir;
+
+before(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), "images-"));
+  server = http.createServer((req, res) => {
+    const handler = routes[req.url];
+    if (handler) handler(req, res); // zonder handler: geen antwoord (timeout)
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(outDir, { recursive: true, force: true });
+});
+
+const now = new Date("2026-10-01T06:00:00Z");
+const image = (type = "image/jpeg") => (req, res) => res.writeHead(200, { "Content-Type": type }).end();
+const status = (code) => (req, res) => res.writeHead(code).end();
+const product = (image) => ({ id: image, title: image, link: "https://www.nedgame.nl/p", image });
+const context = (state, options = {}) => ({
+  options: { ...DEFAULT_IMAGES, ...options }, queue: limiter(4), state, now, outDir, timeoutMs: 100, offline: false
+});
+
+test("checkImages: ok, broken and unknown", async () => {
+  Object.assign(routes, {
+    "/ok.jpg": image(),
+    "/head.jpg": (req, res) => (req.method === "HEAD" ? status(405) : image())(req, res),
+    "/gone.jpg": status(404),
+    "/page.jpg": image("text/html"),
+    "/error.jpg": status(503)
+  });
+  const urls = ["/ok.jpg", "/head.jpg", "/gone.jpg", "/page.jpg", "/error.jpg", "/hang.jpg"].map(p => `${base}${p}`);
+  const state = {};
+  const checks = await checkImages(urls.map(product), context(state));
+  assert.deepEqual(Object.values(checks), [true, true, false, false, null, null]);
+  // 5xx en timeouts niet onthouden: volgende build opnieuw proberen
+  assert.deepEqual(Object.keys(state).sort(), urls.slice(0, 4).sort());
+  assert.equal(state[urls[2]].status, 404);
+});
+
+test("checkImages: results count for 24 hours, offline checks nothing", async () => {
+  const url = `${base}/flaky.jpg`;
+  routes["/flaky.jpg"] = status(404);
+  const state = {};
+  assert.deepEqual(await checkImages([product(url)], context(state)), { [url]: false });
+  routes["/flaky.jpg"] = image();
+  assert.deepEqual(await checkImages([product(url)], context(state)), { [url]: false });
+  pruneImageState(state, new Date(now.getTime() + 24 * 60 * 60 * 1000));
+  assert.deepEqual(await checkImages([product(url)], context(state)), { [url]: true });
+
+  assert.deepEqual(await checkImages([product(url)], { ...context({}), offline: true }), {});
+  assert.deepEqual(await checkImages([product(url)], context({}, { check: false })), {});
+});
+
+test("processImages: placeholder only for missing or broken images", async () => {
+  const products = ["https://x.nl/ok.jpg", "https://x.nl/kapot.jpg", "https://x.nl/onbekend.jpg", ""].map(product);
+  const checks = { "https://x.nl/ok.jpg": true, "https://x.nl/kapot.jpg": false, "https://x.nl/onbekend.jpg": null };
+  const placeholder = "https://x.nl/leeg.png";
+  const out = await processImages(products, { ...context({}, { placeholder }), checks });
+  assert.deepEqual(out.map(p => p.image), ["https://x.nl/ok.jpg", placeholder, "https://x.nl/onbekend.jpg", placeholder]);
+  // zonder placeholder: lege ruimte
+  assert.equal((await processImages(products, { ...context({}), checks }))[1].image, "");
+});
+
+test("processImages: a mirror download that never finishes times out", async (t) => {
+  if (!(await import("sharp").catch(() => null))) return t.skip("sharp niet geïnstalleerd");
+  // headers direct, body nooit af
+  routes["/slow.jpg"] = (req, res) => res.writeHead(200, { "Content-Type": "image/jpeg" }).write(Buffer.alloc(64));
+  const p = product(`${base}/slow.jpg`);
+  const started = Date.now();
+  const [out] = await processImages([p], { ...context({}, { mirror: true, base_url: "https://x.github.io/feeds/" }), sizes: [140] });
+  assert.deepEqual(out, p);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("buildKey changes when an image check result changes", () => {
+  const args = { source: { hash: "abc", stale: null }, feed: { slug: "pre-orders" }, config: {}, now, code: "v1" };
+  const key = buildKey({ ...args, imageChecks: { "https://x.nl/a.jpg": null } });
+  assert.equal(buildKey({ ...args, imageChecks: { "https://x.nl/a.jpg": null } }), key);
+  assert.notEqual(buildKey({ ...args, imageChecks: { "https://x.nl/a.jpg": true } }), key);
+  assert.notEqual(buildKey({ ...args, imageChecks: { "https://x.nl/a.jpg": false } }), key);
+});
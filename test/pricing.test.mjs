@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProducts, variantItems } from "../src/transform.mjs";
+
+const xml = (...fields) => `<rss><items>${fields.map((f, i) =>
+  `<product><id>${i + 1}</id><title>Product ${i + 1}</title><link>https://www.nedgame.nl/${i + 1}</link>${f}</product>`).join("")}</items></rss>`;
+const prices = (p) => ({ price: p.price, old_price: p.old_price, discount: p.discount });
+
+test("old_price, regular_price and list_price become the old price", () => {
+  const products = parseProducts(xml(
+    "<price>40,00</price><old_price>50,00</old_price>",
+    "<price>40</price><regular_price>80</regular_price>",
+    "<price>40</price><list_price>44.44</list_price>"
+  ));
+  assert.deepEqual(products.map(prices), [
+    { price: 40, old_price: 50, discount: 20 },
+    { price: 40, old_price: 80, discount: 50 },
+    { price: 40, old_price: 44.44, discount: 10 }
+  ]);
+});
+
+test("sale_price wins over price, which becomes the old price", () => {
+  const products = parseProducts(xml(
+    "<price>60</price><sale_price>45</sale_price>",
+    "<sale_price>45</sale_price><old_price>90</old_price>",
+    // niet lager dan de prijs: geen actie
+    "<price>60</price><sale_price>70</sale_price>"
+  ));
+  assert.deepEqual(products.map(prices), [
+    { price: 45, old_price: 60, discount: 25 },
+    { price: 45, old_price: 90, discount: 50 },
+    { price: 60, old_price: null, discount: null }
+  ]);
+});
+
+test("no discount without a higher old price", () => {
+  const products = parseProducts(xml(
+    "<price>40</price>",
+    "<price>40</price><old_price>40</old_price>",
+    "<price>40</price><old_price>30</old_price>",
+    "<old_price>30</old_price>"
+  ));
+  assert.deepEqual(products.map(p => p.discount), [null, null, null, null]);
+  assert.ok(Number.isNaN(products[3].price));
+});
+
+test("the card shows the old price and badge only for a real discount", () => {
+  // 60 -> 59,99 is afgerond 0%: geen "-0%"
+  const products = parseProducts(xml("<price>40</price><old_price>50</old_price>", "<price>59,99</price><old_price>60</old_price>"));
+  const feed = { slug: "acties", title: "Acties" };
+  const [discounted, rounded] = products.map(p => variantItems({ site: {}, feed, products: [p], perRow: 1 }).items[0].body);
+  assert.match(discounted, /line-through;">€\s50,00<\/span>/);
+  assert.match(discounted, />-20%<\/span>/);
+  assert.equal(rounded.includes("line-through"), false);
+  assert.equal(rounded.includes("-0%"), false);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProducts, applyFeedOptions, variantItems } from "../src/transform.mjs";
+
+const now = new Date("2026-10-01T12:00:00Z");
+const xml = (...fields) => `<rss><items>${fields.map((f, i) =>
+  `<product><id>${i + 1}</id><title>Product ${i + 1}</title><link>https://www.nedgame.nl/${i + 1}</link><price>10</price>${f}</product>`).join("")}</items></rss>`;
+
+test("release dates in ISO and Dutch notation, under every field name", () => {
+  const products = parseProducts(xml(
+    "<release_date>2026-11-14</release_date>",
+    "<release_date>2026-11-14T00:00:00+01:00</release_date>",
+    "<releasedate>14-11-2026</releasedate>",
+    "<availability_date>4/3/2027</availability_date>",
+    "<release_date>14.11.2026</release_date>",
+    "<release_date>binnenkort</release_date>",
+    ""
+  ), { now });
+  assert.deepEqual(products.map(p => p.release_date), [
+    "2026-11-14", "2026-11-14", "2026-11-14", "2027-03-04", "2026-11-14", null, null
+  ]);
+});
+
+test("released compares the date with the build day", () => {
+  const products = parseProducts(xml(
+    "<release_date>2026-09-30</release_date>",
+    "<release_date>2026-10-01</release_date>",
+    "<release_date>2026-10-02</release_date>",
+    ""
+  ), { now });
+  assert.deepEqual(products.map(p => p.released), [true, false, false, null]);
+  assert.deepEqual(applyFeedOptions(products, { drop_released: true }).map(p => p.id), ["2", "3", "4"]);
+});
+
+test("cards show 'Verwacht' only for unreleased products with show_release_date", () => {
+  const products = parseProducts(xml("<release_date>2026-11-14</release_date>", "<release_date>2026-09-30</release_date>"), { now });
+  const bodies = (feed) => products.map(p => variantItems({ site: {}, feed, products: [p], perRow: 1 }).items[0].body);
+  const feed = { slug: "pre-orders", title: "Pre-orders", show_release_date: true };
+  const [upcoming, released] = bodies(feed);
+  assert.match(upcoming, /Verwacht: 14 nov 2026/);
+  assert.equal(released.includes("Verwacht"), false);
+  assert.equal(bodies({ ...feed, show_release_date: false })[0].includes("Verwacht"), false);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { limiter, fetchWithRetry } from "../src/transform.mjs";
+
+// Lokale bron; per pad een lijst met antwoorden, de laatste blijft gelden
+const responses = {};
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const queue = responses[req.url] || [];
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (!next) return; // geen antwoord: timeout
+    next(req, res);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const status = (code, body = "") => (req, res) => res.writeHead(code).end(body);
+const options = { concurrency: 1, timeout_ms: 200, retries: 2, backoff_ms: 20 };
+
+test("limiter runs at most `max` tasks at once and keeps results in order", async () => {
+  const queue = limiter(2);
+  let active = 0;
+  let peak = 0;
+  const results = await Promise.all([30, 10, 20, 5, 15].map((ms, i) => queue(async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    active--;
+    return i;
+  })));
+  assert.equal(peak, 2);
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test("limiter passes rejections through and keeps going", async () => {
+  const queue = limiter(1);
+  await assert.rejects(queue(async () => { throw new Error("kapot"); }), /kapot/);
+  assert.equal(await queue(async () => "ok"), "ok");
+});
+
+test("fetchWithRetry retries 5xx with exponential backoff", async () => {
+  responses["/retry"] = [status(502), status(503), status(200, "ok")];
+  const started = Date.now();
+  const { res, body, attempts } = await fetchWithRetry(`${base}/retry`, {}, options);
+  assert.equal(res.status, 200);
+  assert.equal(body, "ok");
+  assert.deepEqual(attempts.map(a => a.status), [502, 503, 200]);
+  // 20 ms + 40 ms backoff
+  assert.ok(Date.now() - started >= 60);
+});
+
+test("fetchWithRetry returns the last 5xx after the last retry and does not retry 4xx", async () => {
+  responses["/down"] = [status(500)];
+  const down = await fetchWithRetry(`${base}/down`, {}, { ...options, retries: 1 });
+  assert.deepEqual(down.attempts.map(a => a.status), [500, 500]);
+
+  responses["/missing"] = [status(404)];
+  const missing = await fetchWithRetry(`${base}/missing`, {}, options);
+  assert.deepEqual(missing.attempts.map(a => a.status), [404]);
+});
+
+test("fetchWithRetry retries network errors", async () => {
+  responses["/reset"] = [(req, res) => res.destroy(), status(200, "ok")];
+  const { body, attempts } = await fetchWithRetry(`${base}/reset`, {}, options);
+  assert.equal(body, "ok");
+  assert.equal(attempts[0].status, null);
+  assert.match(attempts[0].error, /socket hang up/);
+});
+
+test("fetchWithRetry times out per attempt, including a slow body", async () => {
+  responses["/hang"] = [];
+  // headers direct, body nooit af
+  responses["/trickle"] = [(req, res) => res.writeHead(200).write("<rss>")];
+  for (const path of ["/hang", "/trickle"]) {
+    await assert.rejects(fetchWithRetry(`${base}${path}`, {}, { ...options, timeout_ms: 50, retries: 1 }), (e) => {
+      assert.equal(e.message, "Timeout after 50 ms");
+      assert.deepEqual(e.attempts.map(a => a.status), [null, null]);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fetchSource, buildKey } from "../src/transform.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const site = { title: "Nedgame", link: "https://www.nedgame.nl/" };
+const feed = { slug: "pre-orders", title: "Pre-orders", source: "https://www.nedgame.nl/feeds/pre-orders.xml", row_variants: [3] };
+
+test("buildKey: skip only when source, config, code and day are unchanged", () => {
+  const now = new Date("2026-10-01T06:00:00Z");
+  const args = { source: { hash: "abc", stale: null }, feed, config: { site, feeds: [feed] }, now, code: "v1" };
+  const key = buildKey(args);
+  assert.match(key, /^[0-9a-f]{40}$/);
+  assert.equal(buildKey({ ...args, now: new Date("2026-10-01T22:00:00Z") }), key);
+
+  for (const changed of [
+    { source: { hash: "def", stale: null } },
+    { feed: { ...feed, limit: 4 } },
+    { config: { ...args.config, theme: { dark_background: "#000000" } } },
+    { config: { ...args.config, images: { placeholder: "https://www.nedgame.nl/leeg.png" } } },
+    { config: { ...args.config, email: { footer: "Tot ziens" } } },
+    { now: new Date("2026-10-02T06:00:00Z") },
+    { code: "v2" }
+  ]) {
+    assert.notEqual(buildKey({ ...args, ...changed }), key, JSON.stringify(changed));
+  }
+});
+
+test("buildKey: a stale source is never skipped", () => {
+  const stale = { reason: "Fetch failed 502", fetchedAt: "2026-09-30T06:00:00.000Z", ageMs: DAY };
+  assert.equal(buildKey({ source: { hash: "abc", stale }, feed, config: {}, now: new Date(), code: "v1" }), false);
+});
+
+// Conditioneel ophalen tegen een lokale bron; snapshots in een tijdelijke map
+let answer;
+const requests = [];
+let server;
+let url;
+let snapshotDir;
+
+before(async () => {
+  snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), "snapshots-"));
+  server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    answer(req, res);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/source.xml`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(snapshotDir, { recursive: true, force: true });
+});
+
+const options = { concurrency: 1, timeout_ms: 1000, retries: 0, backoff_ms: 0 };
+const xml = `<rss><items><product><id>1</id><title>Zelda</title><link>https://www.nedgame.nl/1</link><price>59,99</price></product></items></rss>`;
+const load = (now) => fetchSource(url, new Date(now), options, { snapshotDir });
+
+test("fetchSource sends ETag and Last-Modified and reuses the snapshot on 304", async () => {
+  const lastModified = "Wed, 30 Sep 2026 10:00:00 GMT";
+  answer = (req, res) => res.writeHead(200, { ETag: '"v1"', "Last-Modified": lastModified }).end(xml);
+  const first = await load("2026-10-01T06:00:00Z");
+  assert.equal(requests.at(-1)["if-none-match"], undefined);
+
+  answer = (req, res) => res.writeHead(304).end();
+  const second = await load("2026-10-01T07:00:00Z");
+  assert.equal(requests.at(-1)["if-none-match"], '"v1"');
+  assert.equal(requests.at(-1)["if-modified-since"], lastModified);
+  assert.equal(second.stale, null);
+  assert.equal(second.hash, first.hash);
+  assert.deepEqual(second.products.map(p => p.title), ["Zelda"]);
+
+  // na een 304 blijven de validators van de snapshot bewaard
+  await load("2026-10-01T08:00:00Z");
+  assert.equal(requests.at(-1)["if-none-match"], '"v1"');
+});
+
+test("the same body without validators gives the same source hash", async () => {
+  answer = (req, res) => res.writeHead(200).end(xml);
+  const a = await load("2026-10-02T06:00:00Z");
+  const b = await load("2026-10-02T07:00:00Z");
+  assert.equal(a.hash, b.hash);
+  assert.equal(buildKey({ source: a, feed, config: { site }, now: new Date("2026-10-02T06:00:00Z"), code: "v1" }),
+    buildKey({ source: b, feed, config: { site }, now: new Date("2026-10-02T07:00:00Z"), code: "v1" }));
+});
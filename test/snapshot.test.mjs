@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fetchSource } from "../src/transform.mjs";
+
+// Lokale bron die antwoordt met `answer`; snapshots in een tijdelijke map
+let answer;
+let server;
+let url;
+let snapshotDir;
+
+before(async () => {
+  snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), "snapshots-"));
+  server = http.createServer((req, res) => answer(req, res));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/source.xml`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(snapshotDir, { recursive: true, force: true });
+});
+
+const options = { concurrency: 1, timeout_ms: 1000, retries: 0, backoff_ms: 0 };
+const status = (code, body = "") => (req, res) => res.writeHead(code).end(body);
+const xml = (...titles) => `<rss><items>${titles.map((t, i) =>
+  `<product><id>${i + 1}</id><title>${t}</title><link>https://www.nedgame.nl/${i + 1}</link><price>9,99</price></product>`).join("")}</items></rss>`;
+const load = (now) => fetchSource(url, new Date(now), options, { snapshotDir });
+
+test("without a snapshot a failing source is an error", async () => {
+  answer = status(502);
+  await assert.rejects(load("2026-09-30T06:00:00Z"), /Fetch failed 502/);
+  assert.deepEqual(await fs.readdir(snapshotDir), []);
+});
+
+test("a good fetch is saved as the last-known-good snapshot", async () => {
+  answer = status(200, xml("Zelda", "Mario"));
+  const source = await load("2026-10-01T06:00:00Z");
+  assert.equal(source.stale, null);
+  assert.deepEqual(source.products.map(p => p.title), ["Zelda", "Mario"]);
+  assert.equal((await fs.readdir(snapshotDir)).length, 2);
+});
+
+test("errors, non-200 and empty feeds fall back to the snapshot", async () => {
+  for (const [next, reason] of [
+    [status(500), "Fetch failed 500"],
+    [status(404), "Fetch failed 404"],
+    [status(200, "<rss><items></items></rss>"), "Source returned 0 products"],
+    [(req, res) => res.destroy(), "socket hang up"]
+  ]) {
+    answer = next;
+    const source = await load("2026-10-02T12:00:00Z");
+    assert.match(source.stale.reason, new RegExp(reason));
+    assert.equal(source.stale.fetchedAt, "2026-10-01T06:00:00.000Z");
+    assert.equal(source.stale.ageMs, 30 * 60 * 60 * 1000);
+    assert.deepEqual(source.products.map(p => p.title), ["Zelda", "Mario"]);
+  }
+});
+
+test("the next good fetch replaces the snapshot and clears stale", async () => {
+  answer = status(200, xml("Astro Bot"));
+  assert.equal((await load("2026-10-03T06:00:00Z")).stale, null);
+  answer = status(503);
+  const source = await load("2026-10-03T07:00:00Z");
+  assert.equal(source.stale.fetchedAt, "2026-10-03T06:00:00.000Z");
+  assert.deepEqual(source.products.map(p => p.title), ["Astro Bot"]);
+});
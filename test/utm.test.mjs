@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tagLink, variantItems, apiJSON } from "../src/transform.mjs";
+
+const utm = { utm_source: "activecampaign", utm_campaign: "{slug}", utm_content: "{variant}", utm_term: "{id}" };
+const vars = { slug: "pre-orders", variant: "r3", perRow: 3, id: "A1" };
+
+test("tagLink fills the variables and encodes the values", () => {
+  assert.equal(
+    tagLink("https://www.nedgame.nl/p/zelda", { ...utm, utm_medium: "e-mail & nieuwsbrief" }, vars),
+    "https://www.nedgame.nl/p/zelda?utm_source=activecampaign&utm_campaign=pre-orders&utm_content=r3&utm_term=A1&utm_medium=e-mail%20%26%20nieuwsbrief"
+  );
+  // onbekende variabele blijft staan
+  assert.equal(tagLink("https://x.nl/", { utm_term: "{sku}" }, vars), "https://x.nl/?utm_term=%7Bsku%7D");
+});
+
+test("tagLink keeps existing parameters and the fragment", () => {
+  assert.equal(
+    tagLink("https://x.nl/p?ref=x&utm_source=site#reviews", utm, vars),
+    "https://x.nl/p?ref=x&utm_source=site&utm_campaign=pre-orders&utm_content=r3&utm_term=A1#reviews"
+  );
+  assert.equal(tagLink("https://x.nl/p?", { utm_source: "ac" }, vars), "https://x.nl/p?utm_source=ac");
+});
+
+test("tagLink leaves out null values and empty links", () => {
+  assert.equal(tagLink("https://x.nl/p", { utm_source: null }, vars), "https://x.nl/p");
+  assert.equal(tagLink("https://x.nl/p", undefined, vars), "https://x.nl/p");
+  assert.equal(tagLink("", utm, vars), "");
+});
+
+test("feed utm overrides site utm in the cards, the API keeps plain links", () => {
+  const site = { utm: { utm_source: "activecampaign", utm_medium: "email", utm_content: "{variant}" } };
+  const feed = { slug: "pre-orders", title: "Pre-orders", utm: { utm_medium: null, utm_campaign: "{slug}" } };
+  const products = [{ id: "A1", title: "Zelda", link: "https://x.nl/zelda", price: 10 }];
+  const [item] = variantItems({ site, feed, products, perRow: "hero" }).items;
+  const tagged = "https://x.nl/zelda?utm_source=activecampaign&utm_content=hero&utm_campaign=pre-orders";
+  assert.equal(item.link, tagged);
+  assert.ok(item.body.includes(`href="${tagged.replace(/&/g, "&amp;")}"`));
+
+  const api = JSON.parse(apiJSON({ feed, source: { fetchedAt: null, stale: null }, products, now: new Date() }));
+  assert.equal(api.products[0].link, "https://x.nl/zelda");
+});
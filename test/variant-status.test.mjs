@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig, variantStatuses } from "../src/config.mjs";
+
+const feed = (extra = {}) => ({
+  slug: "pre-orders",
+  title: "Pre-orders",
+  source: "https://www.nedgame.nl/feeds/pre-orders.xml",
+  row_variants: [1, 2, 3, 4, "hero"],
+  ...extra
+});
+
+test("variant_status: unknown statuses and variants outside row_variants", () => {
+  const errors = validateConfig({
+    variant_status: { 7: "enabled", 4: { status: "hidden" } },
+    feeds: [feed({ row_variants: [3, 4], variant_status: { 2: "recommended", 3: { status: "deprecated", reason: 1 } } })]
+  });
+  assert.ok(errors.some(e => e.startsWith("variant_status.7: onbekende variant")), errors.join("; "));
+  assert.ok(errors.some(e => e.startsWith('variant_status.4.status: "hidden" onbekend')), errors.join("; "));
+  assert.ok(errors.some(e => e.endsWith(".variant_status.2: staat niet in row_variants")), errors.join("; "));
+  assert.ok(errors.some(e => e.endsWith(".variant_status.3.reason: moet tekst zijn")), errors.join("; "));
+});
+
+test("variant_status: every variant disabled is an error", () => {
+  const errors = validateConfig({
+    variant_status: { 3: "disabled" },
+    feeds: [feed({ row_variants: [3, 4], variant_status: { 4: "disabled" } })]
+  });
+  assert.deepEqual(errors, ['feeds[0] (pre-orders).variant_status: alle row_variants staan op "disabled"']);
+});
+
+test("variantStatuses: the feed wins over the top level, default enabled", () => {
+  const config = { variant_status: { 3: "deprecated", 4: { status: "recommended", reason: "getest" } } };
+  assert.deepEqual(variantStatuses(config, feed({ row_variants: [2, 3, 4], variant_status: { 3: "disabled" } })), {
+    2: { status: "enabled", reason: null },
+    3: { status: "disabled", reason: null },
+    4: { status: "recommended", reason: "getest" }
+  });
+});